@@ -1,4 +1,4 @@
-import React, { useState, useMemo, useEffect } from "react";
+import React, { useState, useMemo, useEffect, useRef } from "react";
 import {
   LineChart,
   Line,
@@ -12,128 +12,106 @@ import {
   Area,
   ComposedChart,
 } from "recharts";
-
-const STORAGE_KEY = "aurora-power-calculator-settings";
-
-const defaults = {
-  power: 0.8,
-  alpha: 0.025,
-  iccHamd: 0.04,
-  iccRetention: 0.05,
-  r2Hamd: 0.35,
-  r2Retention: 0.05,
-  patientsPerCluster: 10,
-  nClinicians: 100,
-  clusterSizeCV: 0,
-  controlAttrition: 0.3,
-  treatmentRatio: 3,
-  measurementModel: "sum",
-  sumScoreReliability: 0.86,
-  raschReliability: 0.91,
-  raterVarianceProp: 0.07,
-  targetIcc: 0.75,
-  expectedIcc: 0.8,
-  iccClusterCorr: 0.03,
-  nFollowups: 4,
-  survivalEfficiency: 4.0,
-};
-
-function loadSettings() {
-  try {
-    const saved = localStorage.getItem(STORAGE_KEY);
-    if (saved) {
-      return { ...defaults, ...JSON.parse(saved) };
-    }
-  } catch (e) {
-    // Ignore errors
-  }
-  return defaults;
-}
+import {
+  calcHamdMDE,
+  calcRetentionMDE,
+  calcIccValidation,
+  calcPowerData,
+  sampleSizeRows,
+  calcCurrentDesign,
+  clusterDesignEffect,
+  MIN_ARM_CLUSTERS,
+} from "./powerEngine";
+import { activeCaseloads } from "./clusterSizes";
+import {
+  buildRCurveScript,
+  buildRScript,
+  compareRCurve,
+  compareRResults,
+  jsVerificationFigures,
+} from "./rCode";
+import {
+  BUNDLED_WEBR_BASE_URL,
+  CDN_WEBR_BASE_URL,
+  WEBR_VERSION,
+  loadWebRBaseUrl,
+  saveWebRBaseUrl,
+  startWebR,
+  webRSourceFor,
+} from "./webr";
+import { fitDomain, niceTicks } from "./chartScales";
+import {
+  MAX_CURVE_POINTS,
+  STORAGE_KEY,
+  clearSettingsFromUrl,
+  createScenario,
+  defaults,
+  loadScenarios,
+  saveScenarios,
+  loadSettings,
+  maxRetentionEffect,
+  parseSettingsFile,
+  saveSettings,
+  settingsFileContents,
+  settingsSchema,
+  settingsToUrl,
+  withPatientsPerCluster,
+} from "./settings";
+import {
+  NumberInput,
+  SettingNumber,
+  SettingCaseloads,
+  SettingSelect,
+  SettingSlider,
+} from "./SettingControls";
+import { downloadFile } from "./download";
+import { powerDataCsv } from "./csvExport";
+import { justificationText } from "./justification";
+import { assumptionsCaption, buildFigureSvg, figureToPng } from "./chartExport";
+import ScenarioCompare from "./ScenarioCompare";
 
 export default function PowerCurves() {
-  const initial = loadSettings();
-
-  const [power, setPower] = useState(initial.power);
-  const [alpha, setAlpha] = useState(initial.alpha);
-  const [iccHamd, setIccHamd] = useState(initial.iccHamd);
-  const [iccRetention, setIccRetention] = useState(initial.iccRetention);
-  const [r2Hamd, setR2Hamd] = useState(initial.r2Hamd);
-  const [r2Retention, setR2Retention] = useState(initial.r2Retention);
-  const [patientsPerCluster, setPatientsPerCluster] = useState(
-    initial.patientsPerCluster,
-  );
-  const [nClinicians, setNClinicians] = useState(initial.nClinicians || 100);
-  const [clusterSizeCV, setClusterSizeCV] = useState(initial.clusterSizeCV);
-  const [controlAttrition, setControlAttrition] = useState(
-    initial.controlAttrition,
-  );
-  const [treatmentRatio, setTreatmentRatio] = useState(initial.treatmentRatio);
-
-  // Measurement model: "sum" | "rasch" | "mfrm"
-  const [measurementModel, setMeasurementModel] = useState(
-    initial.measurementModel,
-  );
-  const useRasch = measurementModel === "rasch" || measurementModel === "mfrm";
-  const useMFRM = measurementModel === "mfrm";
-  const [sumScoreReliability, setSumScoreReliability] = useState(
-    initial.sumScoreReliability,
-  );
-  const [raschReliability, setRaschReliability] = useState(
-    initial.raschReliability,
-  );
-  const [raterVarianceProp, setRaterVarianceProp] = useState(
-    initial.raterVarianceProp,
-  );
-
-  // ICC validation parameters (treatment arm only)
-  const [targetIcc, setTargetIcc] = useState(initial.targetIcc);
-  const [expectedIcc, setExpectedIcc] = useState(initial.expectedIcc);
-  const [iccClusterCorr, setIccClusterCorr] = useState(initial.iccClusterCorr);
-  const [nFollowups, setNFollowups] = useState(initial.nFollowups);
-
-  // Survival efficiency
-  const [survivalEfficiency, setSurvivalEfficiency] = useState(
-    initial.survivalEfficiency,
-  );
-
-  // R code section visibility
-  const [showRCode, setShowRCode] = useState(false);
-
-  // Check if current settings match defaults
-  const isDefaultSettings = useMemo(() => {
-    return (
-      power === defaults.power &&
-      alpha === defaults.alpha &&
-      iccHamd === defaults.iccHamd &&
-      iccRetention === defaults.iccRetention &&
-      r2Hamd === defaults.r2Hamd &&
-      r2Retention === defaults.r2Retention &&
-      patientsPerCluster === defaults.patientsPerCluster &&
-      nClinicians === defaults.nClinicians &&
-      clusterSizeCV === defaults.clusterSizeCV &&
-      controlAttrition === defaults.controlAttrition &&
-      treatmentRatio === defaults.treatmentRatio &&
-      measurementModel === defaults.measurementModel &&
-      sumScoreReliability === defaults.sumScoreReliability &&
-      raschReliability === defaults.raschReliability &&
-      raterVarianceProp === defaults.raterVarianceProp &&
-      targetIcc === defaults.targetIcc &&
-      expectedIcc === defaults.expectedIcc &&
-      iccClusterCorr === defaults.iccClusterCorr &&
-      nFollowups === defaults.nFollowups &&
-      survivalEfficiency === defaults.survivalEfficiency
-    );
-  }, [
+  // A shared link's settings take precedence over saved ones (see
+  // loadSettings). Note any fields that fell back to defaults or were
+  // clamped, then drop the query string so later edits aren't overridden by
+  // the link on reload.
+  const [initial] = useState(loadSettings);
+  const [linkNotice, setLinkNotice] = useState(() => {
+    const { link } = initial;
+    return link.found &&
+      (link.rejected.length > 0 || link.clamped.length > 0 || link.outdated)
+      ? link
+      : null;
+  });
+  useEffect(() => {
+    clearSettingsFromUrl();
+  }, []);
+
+  // Every setting in settingsSchema, as saved and shared
+  const [settings, setSettings] = useState(initial.settings);
+  const updateSetting = (key) => (value) =>
+    setSettings((current) => ({ ...current, [key]: value }));
+  const {
     power,
     alpha,
+    sided,
     iccHamd,
     iccRetention,
     r2Hamd,
+    sigmaHamd,
+    ipcwVIF,
+    smallSampleCorrection,
+    repeatedMeasuresGain,
+    repeatedMeasuresModel,
+    withinCorrelation,
     r2Retention,
     patientsPerCluster,
     nClinicians,
     clusterSizeCV,
+    clusterSizeMethod,
+    clusterSizes,
     controlAttrition,
+    treatmentAttrition,
     treatmentRatio,
     measurementModel,
     sumScoreReliability,
@@ -144,30 +122,47 @@ export default function PowerCurves() {
     iccClusterCorr,
     nFollowups,
     survivalEfficiency,
-  ]);
+    retentionModel,
+    attritionMonths,
+    followUpMonths,
+    analysisMode,
+    targetMde,
+    targetMdeUnit,
+    assumedHamdEffect,
+    assumedRetentionEffect,
+    nMin,
+    nMax,
+    nStep,
+    tableUnit,
+  } = settings;
+
+  // Measurement model: "sum" | "rasch" | "mfrm"
+  const useRasch = measurementModel === "rasch" || measurementModel === "mfrm";
+  const useMFRM = measurementModel === "mfrm";
+
+  // R code section visibility
+  const [showRCode, setShowRCode] = useState(false);
+
+  // Check if current settings match defaults
+  const isDefaultSettings = useMemo(
+    () =>
+      Object.keys(settingsSchema).every(
+        (key) => settings[key] === defaults[key],
+      ),
+    [settings],
+  );
+
+  // Replace every setting, e.g. when loading a scenario
+  const applySettings = (next) =>
+    setSettings(
+      Object.fromEntries(
+        Object.keys(settingsSchema).map((key) => [key, next[key]]),
+      ),
+    );
 
   // Reset all settings to defaults
   const resetToDefaults = () => {
-    setPower(defaults.power);
-    setAlpha(defaults.alpha);
-    setIccHamd(defaults.iccHamd);
-    setIccRetention(defaults.iccRetention);
-    setR2Hamd(defaults.r2Hamd);
-    setR2Retention(defaults.r2Retention);
-    setPatientsPerCluster(defaults.patientsPerCluster);
-    setNClinicians(defaults.nClinicians);
-    setClusterSizeCV(defaults.clusterSizeCV);
-    setControlAttrition(defaults.controlAttrition);
-    setTreatmentRatio(defaults.treatmentRatio);
-    setMeasurementModel(defaults.measurementModel);
-    setSumScoreReliability(defaults.sumScoreReliability);
-    setRaschReliability(defaults.raschReliability);
-    setRaterVarianceProp(defaults.raterVarianceProp);
-    setTargetIcc(defaults.targetIcc);
-    setExpectedIcc(defaults.expectedIcc);
-    setIccClusterCorr(defaults.iccClusterCorr);
-    setNFollowups(defaults.nFollowups);
-    setSurvivalEfficiency(defaults.survivalEfficiency);
+    applySettings(defaults);
     localStorage.removeItem(STORAGE_KEY);
   };
 
@@ -175,44 +170,49 @@ export default function PowerCurves() {
   const [webRStatus, setWebRStatus] = useState("idle"); // idle, loading, ready, running, error
   const [webROutput, setWebROutput] = useState("");
   const [webRInstance, setWebRInstance] = useState(null);
+  // JS vs R parity check: R's parsed results and the JS figures they are
+  // compared with, plus the relative tolerance for a pass
+  const [webRVerification, setWebRVerification] = useState(null);
+  const [verifyTolerance, setVerifyTolerance] = useState(1e-6);
+  // R-computed curve points, with the powerData they were computed for
+  const [webRCurve, setWebRCurve] = useState(null);
+
+  // Where the R runtime is loaded from, and the choice in the runtime
+  // select ("cdn", "bundled" or "custom"). Choosing "custom" keeps the
+  // current URL until a new one is entered.
+  const [webRBaseUrl, setWebRBaseUrl] = useState(loadWebRBaseUrl);
+  const [webRSource, setWebRSource] = useState(() =>
+    webRSourceFor(webRBaseUrl),
+  );
 
-  // Load WebR dynamically via script tag
-  const loadWebR = () => {
-    return new Promise((resolve, reject) => {
-      if (window.WebR) {
-        resolve(window.WebR);
-        return;
-      }
-      const script = document.createElement("script");
-      script.type = "module";
-      script.textContent = `
-        import { WebR } from 'https://webr.r-wasm.org/latest/webr.mjs';
-        window.WebR = WebR;
-        window.dispatchEvent(new Event('webr-loaded'));
-      `;
-      window.addEventListener("webr-loaded", () => resolve(window.WebR), {
-        once: true,
-      });
-      script.onerror = reject;
-      document.head.appendChild(script);
-    });
+  const changeWebRBaseUrl = (baseUrl) => {
+    setWebRBaseUrl(baseUrl);
+    saveWebRBaseUrl(baseUrl);
+    // A running session belongs to the old runtime; start afresh next run
+    setWebRInstance(null);
+    setWebRStatus("idle");
+    setWebROutput("");
   };
 
   // Load and run R code in browser using WebR
-  const runRCode = async (rCode) => {
+  // expected holds the JS figures for the design being verified, captured
+  // when the run starts so later setting changes don't skew the check.
+  // curveSource is the powerData being reproduced when verifying curves.
+  const runRCode = async (rCode, expected, curveSource = null) => {
     if (webRStatus === "running") return;
+    setWebRVerification(null);
+    setWebRCurve(null);
 
     try {
       let webR = webRInstance;
 
       if (!webR) {
         setWebRStatus("loading");
-        setWebROutput("Downloading R runtime (~25MB, first time only)...");
+        setWebROutput(
+          `Downloading R runtime from ${webRBaseUrl} (~25MB, first time only)...`,
+        );
 
-        // Load WebR via script tag
-        const WebR = await loadWebR();
-        webR = new WebR();
-        await webR.init();
+        webR = await startWebR(webRBaseUrl);
         setWebRInstance(webR);
         setWebRStatus("ready");
       }
@@ -229,6 +229,16 @@ export default function PowerCurves() {
 
       const output = result;
       setWebROutput(output);
+
+      // The script leaves its figures in verification_results; fetch them
+      // as JSON for the parity table
+      const json = await webR.evalRString("to_json(verification_results)");
+      setWebRVerification({ r: JSON.parse(json), expected });
+
+      if (curveSource) {
+        const curveJson = await webR.evalRString("curve_json");
+        setWebRCurve({ source: curveSource, points: JSON.parse(curveJson) });
+      }
       setWebRStatus("ready");
     } catch (error) {
       setWebRStatus("error");
@@ -238,404 +248,870 @@ export default function PowerCurves() {
 
   // Save settings to localStorage whenever they change
   useEffect(() => {
-    const settings = {
-      power,
-      alpha,
-      iccHamd,
-      iccRetention,
-      r2Hamd,
-      r2Retention,
-      patientsPerCluster,
-      nClinicians,
-      clusterSizeCV,
-      controlAttrition,
-      treatmentRatio,
-      measurementModel,
-      sumScoreReliability,
-      raschReliability,
-      raterVarianceProp,
-      targetIcc,
-      expectedIcc,
-      iccClusterCorr,
-      nFollowups,
-      survivalEfficiency,
-    };
+    saveSettings(settings);
+  }, [settings]);
+
+  // Named scenario library, and the ids of those picked for comparison
+  const [scenarios, setScenarios] = useState(loadScenarios);
+  const [compareIds, setCompareIds] = useState([]);
+  const [newScenarioName, setNewScenarioName] = useState("");
+
+  useEffect(() => {
+    saveScenarios(scenarios);
+  }, [scenarios]);
+
+  const saveScenario = () => {
+    const name = newScenarioName.trim() || `Scenario ${scenarios.length + 1}`;
+    setScenarios([...scenarios, createScenario(name, settings)]);
+    setNewScenarioName("");
+  };
+  const updateScenario = (id, changes) =>
+    setScenarios(
+      scenarios.map((s) => (s.id === id ? { ...s, ...changes } : s)),
+    );
+  const duplicateScenario = (scenario) => {
+    const index = scenarios.indexOf(scenario);
+    const copy = createScenario(`${scenario.name} (copy)`, scenario.settings);
+    setScenarios([
+      ...scenarios.slice(0, index + 1),
+      copy,
+      ...scenarios.slice(index + 1),
+    ]);
+  };
+  const deleteScenario = (id) => {
+    setScenarios(scenarios.filter((s) => s.id !== id));
+    setCompareIds(compareIds.filter((c) => c !== id));
+  };
+  const toggleCompare = (id) =>
+    setCompareIds(
+      compareIds.includes(id)
+        ? compareIds.filter((c) => c !== id)
+        : [...compareIds, id].slice(-4),
+    );
+  const comparedScenarios = useMemo(
+    () => scenarios.filter((s) => compareIds.includes(s.id)),
+    [scenarios, compareIds],
+  );
+
+  // JSON import/export of the current settings and the scenario library.
+  // importReport describes the last import: { fileName, sections } or
+  // { fileName, error }.
+  const [importReport, setImportReport] = useState(null);
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+
+  const exportSettingsFile = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `aurora-power-settings-${date}.json`,
+      settingsFileContents(settings, scenarios),
+      "application/json",
+    );
+  };
+
+  const importSettingsFile = async (file) => {
+    if (!file) return;
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
-    } catch (e) {
-      // Ignore errors
-    }
-  }, [
-    power,
-    alpha,
-    iccHamd,
-    iccRetention,
-    r2Hamd,
-    r2Retention,
-    patientsPerCluster,
-    nClinicians,
-    clusterSizeCV,
-    controlAttrition,
-    treatmentRatio,
-    measurementModel,
-    sumScoreReliability,
-    raschReliability,
-    raterVarianceProp,
-    targetIcc,
-    expectedIcc,
-    iccClusterCorr,
-    nFollowups,
-    survivalEfficiency,
-  ]);
-
-  // Z-scores
-  const zAlpha = useMemo(() => {
-    // Two-tailed z for alpha
-    const z = {
-      0.05: 1.96,
-      0.025: 2.24,
-      0.01: 2.58,
-    };
-    return z[alpha] || 2.24;
-  }, [alpha]);
-
-  const zBeta = useMemo(() => {
-    const z = {
-      0.7: 0.524,
-      0.75: 0.674,
-      0.8: 0.842,
-      0.85: 1.036,
-      0.9: 1.282,
-    };
-    return z[power] || 0.842;
-  }, [power]);
-
-  // Calculate measurement model variance adjustment
-  const measurementVarianceMultiplier = useMemo(() => {
-    // Baseline: sum score with its error variance
-    // Error variance = (1 - reliability) * total variance
-
-    let multiplier = 1.0;
-
-    if (useRasch) {
-      // Rasch reduces error variance
-      // Relative error: (1 - raschRel) / (1 - sumScoreRel)
-      const sumScoreError = 1 - sumScoreReliability;
-      const raschError = 1 - raschReliability;
-      const errorReduction = (sumScoreError - raschError) / sumScoreError;
-
-      // This removes errorReduction proportion of the error variance
-      // Error is (1-rel) of total, so net reduction = errorReduction * (1-sumScoreRel)
-      multiplier *= 1 - errorReduction * sumScoreError;
+      const imported = parseSettingsFile(await file.text());
+      if (imported.settings) applySettings(imported.settings);
+      if (imported.scenarios.length > 0) {
+        setScenarios((current) => [...current, ...imported.scenarios]);
+      }
+      setImportReport({
+        fileName: file.name,
+        settingsApplied: !!imported.settings,
+        scenarioCount: imported.scenarios.length,
+        sections: imported.sections,
+      });
+    } catch (error) {
+      setImportReport({ fileName: file.name, error: error.message });
     }
+  };
 
-    if (useMFRM) {
-      // MFRM removes rater variance entirely
-      multiplier *= 1 - raterVarianceProp;
+  // Copy a link that reproduces the current scenario
+  const [linkCopied, setLinkCopied] = useState(false);
+  const copyLink = async () => {
+    const url = settingsToUrl(settings);
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (e) {
+      // Clipboard access can be blocked (e.g. non-HTTPS); let the user copy it
+      window.prompt("Copy this link:", url);
     }
-
-    return multiplier;
-  }, [
-    useRasch,
-    useMFRM,
-    sumScoreReliability,
-    raschReliability,
-    raterVarianceProp,
-  ]);
-
-  // Calculate MDE for HAM-D given total N
-  const calcHamdMDE = (totalN) => {
-    const nClusters = Math.round(totalN / patientsPerCluster);
-    const treatmentProportion = treatmentRatio / (treatmentRatio + 1);
-    const nTreatmentClusters = Math.round(nClusters * treatmentProportion);
-    const nControlClusters = nClusters - nTreatmentClusters;
-
-    // Patients after 30% attrition
-    const nTreatmentPatients =
-      nTreatmentClusters * patientsPerCluster * (1 - controlAttrition);
-    const nControlPatients =
-      nControlClusters * patientsPerCluster * (1 - controlAttrition);
-
-    // Harmonic mean of completers
-    const nHarmonic =
-      (2 * nTreatmentPatients * nControlPatients) /
-      (nTreatmentPatients + nControlPatients);
-
-    // Variance calculations
-    const sigma2 = 49; // SD = 7
-    const sigma2Adj = sigma2 * (1 - r2Hamd);
-
-    // Design effect for clustering (adjusted for unequal cluster sizes)
-    const clusterSize = patientsPerCluster * (1 - controlAttrition); // after attrition
-    const designEffect =
-      (1 + (clusterSize - 1) * iccHamd) * (1 + clusterSizeCV * clusterSizeCV);
-
-    // Inverse Probability of Censoring Weights variance inflation
-    const ipcwVIF = 1.2;
-
-    // Repeated measures efficiency (4 timepoints, correlation ~0.5)
-    const repeatedMeasuresGain = 1.43;
-
-    // Net variance (before measurement model adjustment)
-    const baseVariance =
-      (sigma2Adj * designEffect * ipcwVIF) / repeatedMeasuresGain;
-
-    // Apply measurement model variance reduction
-    const netVariance = baseVariance * measurementVarianceMultiplier;
-
-    // Also calculate baseline (no Rasch/MFRM) for comparison
-    const baselineMDE =
-      (zAlpha + zBeta) * Math.sqrt((2 * baseVariance) / nHarmonic);
-
-    // MDE with measurement model
-    const mde = (zAlpha + zBeta) * Math.sqrt((2 * netVariance) / nHarmonic);
-
-    return {
-      mde: mde,
-      baselineMDE: baselineMDE,
-      effectSize: mde / 7, // Cohen's d
-      nClusters: nClusters,
-      nTreatmentClusters: nTreatmentClusters,
-      nControlClusters: nControlClusters,
-      nCompleters: Math.round(nTreatmentPatients + nControlPatients),
-      varianceReduction: (1 - measurementVarianceMultiplier) * 100,
-    };
   };
 
-  // Calculate MDE for retention given total N
-  const calcRetentionMDE = (totalN) => {
-    const nClusters = Math.round(totalN / patientsPerCluster);
-    const treatmentProportion = treatmentRatio / (treatmentRatio + 1);
-    const nTreatmentClusters = Math.round(nClusters * treatmentProportion);
-    const nControlClusters = nClusters - nTreatmentClusters;
+  // Parameter object consumed by the power engine: the settings themselves
+  const params = settings;
 
-    const nTreatment = nTreatmentClusters * patientsPerCluster;
-    const nControl = nControlClusters * patientsPerCluster;
+  // Generate data for curves
+  const powerData = useMemo(() => calcPowerData(params), [params]);
+
+  // Current design values. In sample size mode the clinicians are solved
+  // for the target MDE (solvedDesign is null if it can't be reached).
+  const currentDesign = useMemo(() => calcCurrentDesign(params), [params]);
+  // Clustering design effect for HAM-D at the full cluster size, and the
+  // pasted caseloads it may be based on
+  const hamdDesignEffect = clusterDesignEffect(
+    patientsPerCluster,
+    iccHamd,
+    params,
+  );
+  const caseloadSummary = useMemo(
+    () => activeCaseloads({ clusterSizeMethod, clusterSizes }),
+    [clusterSizeMethod, clusterSizes],
+  );
+  const solvedDesign = currentDesign.solved;
+  const currentClinicians = currentDesign.nClinicians;
+  const currentN = currentDesign.totalN;
+  const currentHamd = currentDesign.hamd;
+  // The arm with fewer clinicians, and how much the t correction (the
+  // chosen one, or clusters − 2 df if none) changes the HAM-D MDE
+  const smallestArm =
+    currentHamd.nControlClusters <= currentHamd.nTreatmentClusters
+      ? { name: "control", clusters: currentHamd.nControlClusters }
+      : { name: "treatment", clusters: currentHamd.nTreatmentClusters };
+  const hamdTCorrection = useMemo(() => {
+    const corrected =
+      currentHamd.df === Infinity
+        ? calcHamdMDE(currentN, {
+            ...params,
+            smallSampleCorrection: "clusters",
+          })
+        : currentHamd;
+    return (corrected.mde / corrected.normalMDE - 1) * 100;
+  }, [currentHamd, currentN, params]);
+  const currentRetention = currentDesign.retention;
+  const currentIcc = currentDesign.icc;
+
+  // Axis ticks and domains fitted to the N range and the data, keeping the
+  // reference lines in view
+  const nTicks = useMemo(() => niceTicks(nMin, nMax), [nMin, nMax]);
+  const hamdDomain = useMemo(
+    () =>
+      fitDomain(
+        powerData.flatMap((d) => [d.hamdMDE, d.hamdBaselineMDE]),
+        [3],
+      ),
+    [powerData],
+  );
+  const retentionDomain = useMemo(
+    () =>
+      fitDomain(
+        powerData.map((d) => d.retentionMDE),
+        [7],
+      ),
+    [powerData],
+  );
+  const iccDomain = useMemo(
+    () =>
+      fitDomain(
+        powerData.map((d) => d.iccCiWidth / 2),
+        [expectedIcc - targetIcc, 0.05],
+      ),
+    [powerData, expectedIcc, targetIcc],
+  );
+
+  // Achieved power for the assumed effects
+  const isPowerMode = analysisMode === "power";
+  const currentHamdPower = currentDesign.hamdPower;
+  const currentRetentionPower = currentDesign.retentionPower;
+
+  // R curve points only apply while the curves they reproduce are on screen
+  const rCurvePoints =
+    webRCurve && webRCurve.source === powerData ? webRCurve.points : null;
+  const rCurveCheck = useMemo(
+    () => rCurvePoints && compareRCurve(rCurvePoints, powerData),
+    [rCurvePoints, powerData],
+  );
 
-    // Design effect for clustering (adjusted for unequal cluster sizes)
-    const designEffect =
-      (1 + (patientsPerCluster - 1) * iccRetention) *
-      (1 + clusterSizeCV * clusterSizeCV);
+  // Chart data, with the R-computed points merged in after "Verify Curves"
+  const chartData = useMemo(
+    () =>
+      rCurvePoints
+        ? powerData.map((d, i) => ({
+            ...d,
+            rHamdMDE: rCurvePoints[i]?.hamd_mde,
+            rRetentionMDE: rCurvePoints[i]?.retention_mde_pp,
+            rIccCiHalfWidth: rCurvePoints[i]?.icc_ci_half_width,
+          }))
+        : powerData,
+    [powerData, rCurvePoints],
+  );
 
-    const p0 = controlAttrition;
+  // JS vs R parity table for the last WebR run
+  const parityCheck = useMemo(
+    () =>
+      webRVerification &&
+      compareRResults(
+        webRVerification.r,
+        webRVerification.expected,
+        verifyTolerance,
+      ),
+    [webRVerification, verifyTolerance],
+  );
 
-    // Step 1: Base SE for proportion difference
-    const baseSE = Math.sqrt(p0 * (1 - p0) * (1 / nTreatment + 1 / nControl));
+  // R code for verification, shown in the panel and run with WebR
+  const rScript = useMemo(
+    () => buildRScript(params, currentN),
+    [params, currentN],
+  );
 
-    // Step 2: Clustering inflates variance
-    const clusteredSE = baseSE * Math.sqrt(designEffect);
+  // Charts, shared by the page and the SVG/PNG figure export
+  const hamdChart = (
+    <ComposedChart data={chartData} margin={{ bottom: 15, left: 0, right: 5 }}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis
+        dataKey="n"
+        type="number"
+        domain={[nMin, nMax]}
+        ticks={nTicks}
+        label={{
+          value: "Total N (patients)",
+          position: "bottom",
+          offset: 0,
+        }}
+      />
+      <YAxis
+        label={{
+          value: isPowerMode
+            ? `Power (${assumedHamdEffect} pts)`
+            : "MDE (HAM-D points)",
+          angle: -90,
+          position: "insideLeft",
+          style: { textAnchor: "middle" },
+        }}
+        domain={isPowerMode ? [0, 1] : hamdDomain}
+        tickFormatter={
+          isPowerMode ? (v) => `${Math.round(v * 100)}%` : undefined
+        }
+      />
+      <Tooltip
+        formatter={(value, name) => {
+          if (name === "With Rasch/MFRM" || name === "MDE")
+            return [
+              value.toFixed(2) + " pts",
+              useRasch || useMFRM ? "MDE (optimized)" : "MDE",
+            ];
+          if (name === "Sum score baseline")
+            return [value.toFixed(2) + " pts", "MDE (sum score)"];
+          if (name === "R (WebR)")
+            return [value.toFixed(2) + " pts", "MDE (R)"];
+          if (name === "Power")
+            return [(value * 100).toFixed(1) + "%", "Power"];
+          return [value, name];
+        }}
+        labelFormatter={(n) =>
+          `N = ${n} (${Math.round(n / patientsPerCluster)} clusters)`
+        }
+      />
+      {!isPowerMode && (
+        <Area
+          type="monotone"
+          dataKey={() => 3}
+          fill="#dcfce7"
+          stroke="none"
+          fillOpacity={0.5}
+          legendType="none"
+          tooltipType="none"
+        />
+      )}
+      {!isPowerMode && (
+        <Area
+          type="monotone"
+          dataKey={() => 2}
+          fill="#bbf7d0"
+          stroke="none"
+          fillOpacity={0.5}
+          legendType="none"
+          tooltipType="none"
+        />
+      )}
+      {!isPowerMode && (useRasch || useMFRM) && (
+        <Line
+          type="monotone"
+          dataKey="hamdBaselineMDE"
+          stroke="#9ca3af"
+          strokeWidth={2}
+          strokeDasharray="5 5"
+          dot={false}
+          name="Sum score baseline"
+        />
+      )}
+      {isPowerMode ? (
+        <Line
+          type="monotone"
+          dataKey="hamdPower"
+          stroke="#2563eb"
+          strokeWidth={2}
+          dot={false}
+          name="Power"
+        />
+      ) : (
+        <Line
+          type="monotone"
+          dataKey="hamdMDE"
+          stroke="#2563eb"
+          strokeWidth={2}
+          dot={false}
+          name={useRasch || useMFRM ? "With Rasch/MFRM" : "MDE"}
+        />
+      )}
+      {rCurvePoints && !isPowerMode && (
+        <Line
+          type="monotone"
+          dataKey="rHamdMDE"
+          stroke="none"
+          dot={{ r: 3, fill: "#1e3a8a", stroke: "#fff" }}
+          isAnimationActive={false}
+          name="R (WebR)"
+        />
+      )}
+      <ReferenceLine x={currentN} stroke="#666" strokeDasharray="5 5" />
+      {isPowerMode && (
+        <ReferenceLine
+          y={power}
+          stroke="#16a34a"
+          strokeDasharray="3 3"
+          label={{
+            value: `${Math.round(power * 100)}%`,
+            position: "right",
+            fill: "#16a34a",
+            fontSize: 11,
+          }}
+        />
+      )}
+      {!isPowerMode && (
+        <ReferenceLine
+          y={2}
+          stroke="#16a34a"
+          strokeDasharray="3 3"
+          label={{
+            value: "2 pts",
+            position: "right",
+            fill: "#16a34a",
+            fontSize: 11,
+          }}
+        />
+      )}
+      {!isPowerMode && (
+        <ReferenceLine
+          y={3}
+          stroke="#22c55e"
+          strokeDasharray="3 3"
+          label={{
+            value: "3 pts",
+            position: "right",
+            fill: "#22c55e",
+            fontSize: 11,
+          }}
+        />
+      )}
+    </ComposedChart>
+  );
 
-    // Step 3: Covariate adjustment reduces variance
-    const adjustedSE = clusteredSE * Math.sqrt(1 - r2Retention);
+  const retentionChart = (
+    <ComposedChart data={chartData} margin={{ bottom: 15, left: 0, right: 5 }}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis
+        dataKey="n"
+        type="number"
+        domain={[nMin, nMax]}
+        ticks={nTicks}
+        label={{
+          value: "Total N (patients)",
+          position: "bottom",
+          offset: 0,
+        }}
+      />
+      <YAxis
+        label={{
+          value: isPowerMode
+            ? `Power (${assumedRetentionEffect} pp)`
+            : "MDE (percentage points)",
+          angle: -90,
+          position: "insideLeft",
+          style: { textAnchor: "middle" },
+        }}
+        domain={isPowerMode ? [0, 1] : retentionDomain}
+        tickFormatter={
+          isPowerMode ? (v) => `${Math.round(v * 100)}%` : undefined
+        }
+      />
+      <Tooltip
+        formatter={(value, name) => {
+          if (name === "retentionMDE") return [value.toFixed(2) + " pp", "MDE"];
+          if (name === "retentionPower")
+            return [(value * 100).toFixed(1) + "%", "Power"];
+          if (name === "R (WebR)") return [value.toFixed(2) + " pp", "MDE (R)"];
+          return [value, name];
+        }}
+        labelFormatter={(n) =>
+          `N = ${n} (${Math.round(n / patientsPerCluster)} clusters)`
+        }
+      />
+      <Line
+        type="monotone"
+        dataKey={isPowerMode ? "retentionPower" : "retentionMDE"}
+        stroke="#16a34a"
+        strokeWidth={2}
+        dot={false}
+      />
+      {rCurvePoints && !isPowerMode && (
+        <Line
+          type="monotone"
+          dataKey="rRetentionMDE"
+          stroke="none"
+          dot={{ r: 3, fill: "#14532d", stroke: "#fff" }}
+          isAnimationActive={false}
+          name="R (WebR)"
+        />
+      )}
+      <ReferenceLine x={currentN} stroke="#666" strokeDasharray="5 5" />
+      {isPowerMode && (
+        <ReferenceLine
+          y={power}
+          stroke="#f59e0b"
+          strokeDasharray="3 3"
+          label={{
+            value: `${Math.round(power * 100)}%`,
+            position: "right",
+            fill: "#f59e0b",
+            fontSize: 11,
+          }}
+        />
+      )}
+      {!isPowerMode && (
+        <ReferenceLine
+          y={5}
+          stroke="#f59e0b"
+          strokeDasharray="3 3"
+          label={{
+            value: "5 pp",
+            position: "right",
+            fill: "#f59e0b",
+            fontSize: 11,
+          }}
+        />
+      )}
+      {!isPowerMode && (
+        <ReferenceLine
+          y={7}
+          stroke="#f97316"
+          strokeDasharray="3 3"
+          label={{
+            value: "7 pp",
+            position: "right",
+            fill: "#f97316",
+            fontSize: 11,
+          }}
+        />
+      )}
+    </ComposedChart>
+  );
 
-    // Step 4: Survival analysis efficiency gain (vs binary endpoint)
-    // Range: 2x (conservative) to 5x (optimistic with continuous monitoring)
-    const survivalSE = adjustedSE / Math.sqrt(survivalEfficiency);
+  const iccChart = (
+    <ComposedChart data={chartData} margin={{ bottom: 15, left: 10, right: 5 }}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis
+        dataKey="n"
+        type="number"
+        domain={[nMin, nMax]}
+        ticks={nTicks}
+        label={{
+          value: "Total N (patients)",
+          position: "bottom",
+          offset: 0,
+        }}
+      />
+      <YAxis
+        label={{
+          value: "95% CI half-width (±)",
+          angle: -90,
+          position: "insideLeft",
+          style: { textAnchor: "middle" },
+        }}
+        domain={iccDomain}
+      />
+      <Tooltip
+        formatter={(value, name) => {
+          if (name === "CI half-width")
+            return [value.toFixed(3), "CI half-width (±)"];
+          if (name === "R (WebR)")
+            return [value.toFixed(3), "CI half-width (R)"];
+          return [value, name];
+        }}
+        labelFormatter={(n) => {
+          const iccVal = calcIccValidation(n, params);
+          return `N=${n}: ${iccVal.nObservations} obs, CI: ${iccVal.lowerBound.toFixed(3)}-${iccVal.upperBound.toFixed(3)}`;
+        }}
+      />
+      <Area
+        type="monotone"
+        dataKey={() => 0.05}
+        fill="#d1fae5"
+        stroke="none"
+        fillOpacity={0.5}
+        legendType="none"
+        tooltipType="none"
+      />
+      <Line
+        type="monotone"
+        dataKey={(d) => d.iccCiWidth / 2}
+        stroke="#0d9488"
+        strokeWidth={2}
+        dot={false}
+        name="CI half-width"
+      />
+      {rCurvePoints && (
+        <Line
+          type="monotone"
+          dataKey="rIccCiHalfWidth"
+          stroke="none"
+          dot={{ r: 3, fill: "#134e4a", stroke: "#fff" }}
+          isAnimationActive={false}
+          name="R (WebR)"
+        />
+      )}
+      <ReferenceLine x={currentN} stroke="#666" strokeDasharray="5 5" />
+      <ReferenceLine
+        y={expectedIcc - targetIcc}
+        stroke="#ef4444"
+        strokeDasharray="3 3"
+        label={{
+          value: `±${(expectedIcc - targetIcc).toFixed(2)} (rule out <${targetIcc})`,
+          position: "right",
+          fill: "#ef4444",
+          fontSize: 10,
+        }}
+      />
+      <ReferenceLine
+        y={0.03}
+        stroke="#10b981"
+        strokeDasharray="3 3"
+        label={{
+          value: "±0.03",
+          position: "right",
+          fill: "#10b981",
+          fontSize: 11,
+        }}
+      />
+    </ComposedChart>
+  );
 
-    const mde = (zAlpha + zBeta) * survivalSE;
+  // Sample size justification narrative for the current design
+  const [justificationFormat, setJustificationFormat] = useState("plain");
+  const [justificationCopied, setJustificationCopied] = useState(null);
+  const justification = useMemo(
+    () => justificationText(params, currentDesign, justificationFormat),
+    [params, currentDesign, justificationFormat],
+  );
+  const copyJustification = async () => {
+    try {
+      await navigator.clipboard.writeText(justification);
+      setJustificationCopied("Copied!");
+    } catch (e) {
+      // Clipboard access can be blocked (e.g. non-HTTPS); the text box can
+      // still be selected and copied by hand
+      setJustificationCopied("Copy blocked: select the text instead");
+    }
+    setTimeout(() => setJustificationCopied(null), 2000);
+  };
 
-    return {
-      mde: mde * 100, // percentage points
-      controlRate: p0 * 100,
-      treatmentRate: (p0 - mde) * 100,
-      nClusters: nClusters,
-      binaryMDE: (zAlpha + zBeta) * adjustedSE * 100, // for comparison
-    };
+  // Monte Carlo checks of the HAM-D MDE and the retention survival
+  // efficiency, run in a Web Worker. The result keeps the endpoint and
+  // params it was simulated for so it can be flagged once stale.
+  const [simEndpoint, setSimEndpoint] = useState("hamd");
+  const [simReplicates, setSimReplicates] = useState(1000);
+  const [simShape, setSimShape] = useState(1);
+  const [simSeed, setSimSeed] = useState(1);
+  const [simProgress, setSimProgress] = useState(null);
+  const [simulation, setSimulation] = useState(null);
+  const [simError, setSimError] = useState(null);
+  const simWorker = useRef(null);
+
+  const stopSimulation = () => {
+    if (simWorker.current) simWorker.current.terminate();
+    simWorker.current = null;
+    setSimProgress(null);
   };
 
-  // Calculate ICC validation precision (treatment arm only)
-  // Tests whether AI-clinician agreement exceeds threshold for good reliability (ICC>0.75)
-  const calcIccValidation = (totalN) => {
-    const nClusters = Math.round(totalN / patientsPerCluster);
-    const treatmentProportion = treatmentRatio / (treatmentRatio + 1);
-    const nTreatmentClusters = Math.round(nClusters * treatmentProportion);
-
-    // Treatment arm patients after attrition
-    const nTreatmentPatients =
-      nTreatmentClusters * patientsPerCluster * (1 - controlAttrition);
-
-    // Total observations = patients × follow-up assessments
-    const nObservations = nTreatmentPatients * nFollowups;
-
-    // Design effect for clustering in ICC estimation
-    const avgObsPerCluster = nObservations / nTreatmentClusters;
-    const designEffect = 1 + (avgObsPerCluster - 1) * iccClusterCorr;
-
-    // Effective sample size
-    const nEffective = nObservations / designEffect;
-
-    // Standard error of ICC estimate using Fisher's z transformation
-    // SE(z) ≈ 1/sqrt(n-3), then convert back to ICC scale
-    // For ICC, SE ≈ (1-ICC²) * sqrt(2/(n-1)) approximately
-    const seIcc =
-      (1 - expectedIcc * expectedIcc) * Math.sqrt(2 / (nEffective - 1));
-
-    // 95% CI half-width
-    const ciHalfWidth = 1.96 * seIcc;
-
-    // Lower bound of 95% CI
-    const lowerBound = expectedIcc - ciHalfWidth;
-
-    // Can we rule out ICC < 0.75?
-    const canRuleOutPoor = lowerBound > targetIcc;
-
-    return {
-      nTreatmentPatients: Math.round(nTreatmentPatients),
-      nTreatmentClusters: nTreatmentClusters,
-      nObservations: Math.round(nObservations),
-      nEffective: Math.round(nEffective),
-      seIcc: seIcc,
-      ciHalfWidth: ciHalfWidth,
-      lowerBound: lowerBound,
-      upperBound: expectedIcc + ciHalfWidth,
-      canRuleOutPoor: canRuleOutPoor,
+  const runSimulation = () => {
+    stopSimulation();
+    setSimError(null);
+    const worker = new Worker(
+      new URL("./simulation.worker.js", import.meta.url),
+    );
+    simWorker.current = worker;
+    const runParams = params;
+    const runEndpoint = simEndpoint;
+    setSimProgress(0);
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        setSimProgress(data.done);
+        return;
+      }
+      if (data.type === "result") {
+        setSimulation({
+          endpoint: runEndpoint,
+          result: data.result,
+          params: runParams,
+        });
+      } else {
+        setSimError(data.message);
+      }
+      stopSimulation();
+    };
+    worker.onerror = (e) => {
+      setSimError(e.message || "The simulation failed.");
+      stopSimulation();
     };
+    worker.postMessage({
+      endpoint: runEndpoint,
+      totalN: currentN,
+      params: runParams,
+      options: {
+        replicates: simReplicates,
+        seed: simSeed,
+        ...(runEndpoint === "retention" && { shape: simShape }),
+      },
+    });
   };
 
-  // Generate data for curves
-  const powerData = useMemo(() => {
-    const data = [];
-    for (let n = 400; n <= 1300; n += 50) {
-      const hamd = calcHamdMDE(n);
-      const retention = calcRetentionMDE(n);
-      const iccVal = calcIccValidation(n);
-      data.push({
-        n: n,
-        clusters: hamd.nClusters,
-        hamdMDE: hamd.mde,
-        hamdBaselineMDE: hamd.baselineMDE,
-        hamdD: hamd.effectSize,
-        retentionMDE: retention.mde,
-        retentionTreatment: retention.treatmentRate,
-        iccCiWidth: iccVal.ciHalfWidth * 2, // full CI width
-        iccLowerBound: iccVal.lowerBound,
-      });
-    }
-    return data;
-  }, [
-    power,
-    alpha,
-    iccHamd,
-    iccRetention,
-    r2Hamd,
-    r2Retention,
-    patientsPerCluster,
-    nClinicians,
-    clusterSizeCV,
-    controlAttrition,
-    treatmentRatio,
-    survivalEfficiency,
-    measurementVarianceMultiplier,
-    zAlpha,
-    zBeta,
-    expectedIcc,
-    iccClusterCorr,
-    nFollowups,
-  ]);
-
-  // Current design values
-  const currentN = nClinicians * patientsPerCluster;
-  const currentHamd = calcHamdMDE(currentN);
-  const currentRetention = calcRetentionMDE(currentN);
-  const currentIcc = calcIccValidation(currentN);
-
-  // R code for WebR execution (without template literal escaping issues)
-  const rCodeForExecution = `
-total_n <- ${currentN}
-patients_per_cluster <- ${patientsPerCluster}
-cluster_size_cv <- ${clusterSizeCV}
-treatment_ratio <- ${treatmentRatio}
-control_attrition <- ${controlAttrition}
-power <- ${power}
-alpha <- ${alpha}
-z_alpha <- qnorm(1 - alpha/2)
-z_beta <- qnorm(power)
-icc_hamd <- ${iccHamd}
-r2_hamd <- ${r2Hamd}
-sigma_hamd <- 7
-icc_retention <- ${iccRetention}
-r2_retention <- ${r2Retention}
-survival_efficiency <- ${survivalEfficiency}
-
-# ICC validation parameters
-target_icc <- ${targetIcc}
-expected_icc <- ${expectedIcc}
-icc_cluster_corr <- ${iccClusterCorr}
-n_followups <- ${nFollowups}
-
-calc_hamd_mde <- function(total_n) {
-  n_clusters <- round(total_n / patients_per_cluster)
-  treatment_prop <- treatment_ratio / (treatment_ratio + 1)
-  n_treatment_clusters <- round(n_clusters * treatment_prop)
-  n_control_clusters <- n_clusters - n_treatment_clusters
-  n_treatment <- n_treatment_clusters * patients_per_cluster * (1 - control_attrition)
-  n_control <- n_control_clusters * patients_per_cluster * (1 - control_attrition)
-  n_harmonic <- (2 * n_treatment * n_control) / (n_treatment + n_control)
-  sigma2 <- sigma_hamd^2
-  sigma2_adj <- sigma2 * (1 - r2_hamd)
-  cluster_size <- patients_per_cluster * (1 - control_attrition)
-  design_effect <- (1 + (cluster_size - 1) * icc_hamd) * (1 + cluster_size_cv^2)
-  ipcw_vif <- 1.2
-  repeated_measures_gain <- 1.43
-  net_variance <- (sigma2_adj * design_effect * ipcw_vif) / repeated_measures_gain
-  mde <- (z_alpha + z_beta) * sqrt(2 * net_variance / n_harmonic)
-  list(mde = mde, effect_size = mde / sigma_hamd, n_clusters = n_clusters, n_completers = round(n_treatment + n_control))
-}
+  useEffect(() => () => simWorker.current && simWorker.current.terminate(), []);
+
+  const formatPower = ({ power, mcse }) =>
+    `${(power * 100).toFixed(1)}% ± ${(mcse * 100).toFixed(1)}`;
+
+  const renderHamdSimulation = (result) => (
+    <>
+      <table className="w-full max-w-xl">
+        <tbody>
+          <tr className="border-b">
+            <td className="p-1">True effect (analytic MDE)</td>
+            <td className="p-1 text-right">{result.effect.toFixed(2)} pts</td>
+          </tr>
+          <tr className="border-b">
+            <td className="p-1">Analytic power</td>
+            <td className="p-1 text-right">
+              {(result.analyticPower * 100).toFixed(1)}%
+            </td>
+          </tr>
+          <tr className="border-b">
+            <td className="p-1">
+              Empirical power ({result.replicates} replicates)
+            </td>
+            <td className="p-1 text-right font-medium">
+              {formatPower(result)} (95% CI {(result.ciLower * 100).toFixed(1)}–
+              {(result.ciUpper * 100).toFixed(1)}%)
+            </td>
+          </tr>
+          <tr className="border-b">
+            <td className="p-1">Analytic SE of the effect</td>
+            <td className="p-1 text-right">{result.analyticSE.toFixed(3)}</td>
+          </tr>
+          <tr className="border-b">
+            <td className="p-1">Empirical SD of estimates</td>
+            <td className="p-1 text-right">{result.empiricalSE.toFixed(3)}</td>
+          </tr>
+          <tr>
+            <td className="p-1">Mean cluster-robust SE</td>
+            <td className="p-1 text-right">{result.meanRobustSE.toFixed(3)}</td>
+          </tr>
+        </tbody>
+      </table>
+      {result.analyticPower >= result.ciLower &&
+      result.analyticPower <= result.ciUpper ? (
+        <div className="text-green-700 mt-2">
+          ✓ Analytic power is within the Monte Carlo interval
+        </div>
+      ) : (
+        <div className="text-red-600 mt-2">
+          ✗ Analytic power is outside the Monte Carlo interval
+          {result.power < result.analyticPower
+            ? ": the analytic MDE looks optimistic"
+            : ": the analytic MDE looks conservative"}
+        </div>
+      )}
+    </>
+  );
 
-calc_retention_mde <- function(total_n) {
-  n_clusters <- round(total_n / patients_per_cluster)
-  treatment_prop <- treatment_ratio / (treatment_ratio + 1)
-  n_treatment_clusters <- round(n_clusters * treatment_prop)
-  n_control_clusters <- n_clusters - n_treatment_clusters
-  n_treatment <- n_treatment_clusters * patients_per_cluster
-  n_control <- n_control_clusters * patients_per_cluster
-  design_effect <- (1 + (patients_per_cluster - 1) * icc_retention) * (1 + cluster_size_cv^2)
-  p0 <- control_attrition
-  base_se <- sqrt(p0 * (1 - p0) * (1/n_treatment + 1/n_control))
-  clustered_se <- base_se * sqrt(design_effect)
-  adjusted_se <- clustered_se * sqrt(1 - r2_retention)
-  survival_se <- adjusted_se / sqrt(survival_efficiency)
-  mde <- (z_alpha + z_beta) * survival_se
-  list(mde_pp = mde * 100, control_rate = p0 * 100, treatment_rate = (p0 - mde) * 100)
-}
+  // Implied efficiency rounded onto the slider's range and step
+  const impliedSliderEfficiency = (result) => {
+    const { min, max, step } = settingsSchema.survivalEfficiency;
+    const rounded = Math.round(result.impliedEfficiency / step) * step;
+    return Math.min(max, Math.max(min, rounded));
+  };
 
-calc_icc_validation <- function(total_n) {
-  n_clusters <- round(total_n / patients_per_cluster)
-  treatment_prop <- treatment_ratio / (treatment_ratio + 1)
-  n_treatment_clusters <- round(n_clusters * treatment_prop)
-  n_treatment_patients <- n_treatment_clusters * patients_per_cluster * (1 - control_attrition)
-  n_observations <- n_treatment_patients * n_followups
-  avg_obs_per_cluster <- n_observations / n_treatment_clusters
-  design_effect <- 1 + (avg_obs_per_cluster - 1) * icc_cluster_corr
-  n_effective <- n_observations / design_effect
-  se_icc <- (1 - expected_icc^2) * sqrt(2 / (n_effective - 1))
-  ci_half_width <- 1.96 * se_icc
-  lower_bound <- expected_icc - ci_half_width
-  can_rule_out_poor <- lower_bound > target_icc
-  list(n_observations = round(n_observations), ci_half_width = ci_half_width,
-       lower_bound = lower_bound, upper_bound = expected_icc + ci_half_width,
-       can_rule_out_poor = can_rule_out_poor)
-}
+  const renderRetentionSimulation = (result) => (
+    <>
+      <table className="w-full max-w-xl">
+        <thead>
+          <tr className="border-b">
+            <th className="text-left p-1">
+              Attrition {result.controlRate.toFixed(1)}% →{" "}
+              {result.treatmentRate.toFixed(1)}% ({result.replicates}{" "}
+              replicates)
+            </th>
+            <th className="text-right p-1">Analytic</th>
+            <th className="text-right p-1">Simulated</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr className="border-b">
+            <td className="p-1">Binary endpoint power</td>
+            <td className="p-1 text-right">
+              {(result.analyticBinaryPower * 100).toFixed(1)}%
+            </td>
+            <td className="p-1 text-right">{formatPower(result.binary)}</td>
+          </tr>
+          <tr className="border-b">
+            <td className="p-1">Survival (log-rank) power</td>
+            <td className="p-1 text-right">
+              {(result.analyticSurvivalPower * 100).toFixed(1)}%
+            </td>
+            <td className="p-1 text-right font-medium">
+              {formatPower(result.survival)}
+            </td>
+          </tr>
+          <tr>
+            <td className="p-1">Survival efficiency vs binary</td>
+            <td className="p-1 text-right">
+              {retentionModel === "hazardRatio"
+                ? "—"
+                : `${survivalEfficiency}×`}
+            </td>
+            <td className="p-1 text-right font-medium">
+              {result.impliedEfficiency.toFixed(2)}×
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      <div className="flex flex-wrap items-center gap-2 mt-2 text-gray-600">
+        <span>
+          Clinician frailty variance {result.frailtyVariance.toFixed(3)}
+        </span>
+        {/* The hazard ratio model doesn't use the survival efficiency */}
+        {retentionModel !== "hazardRatio" &&
+          impliedSliderEfficiency(result) !== survivalEfficiency && (
+            <button
+              onClick={() =>
+                updateSetting("survivalEfficiency")(
+                  impliedSliderEfficiency(result),
+                )
+              }
+              className="px-2 py-0.5 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+            >
+              Set survival efficiency to {impliedSliderEfficiency(result)}×
+            </button>
+          )}
+      </div>
+    </>
+  );
+
+  // Title and legend of each chart's exported figure
+  const currentDesignLegend = {
+    label: `Current design (N = ${currentN})`,
+    color: "#666",
+    dash: "5 5",
+  };
+  const figures = {
+    hamd: {
+      chart: hamdChart,
+      title: isPowerMode
+        ? `Depression severity (HAM-D): power to detect ${assumedHamdEffect} points`
+        : "Depression severity (HAM-D): minimum detectable effect",
+      legend: isPowerMode
+        ? [
+            { label: "Power", color: "#2563eb" },
+            {
+              label: `Target power (${Math.round(power * 100)}%)`,
+              color: "#16a34a",
+              dash: "3 3",
+            },
+            currentDesignLegend,
+          ]
+        : [
+            {
+              label: useRasch || useMFRM ? "MDE (Rasch/MFRM)" : "MDE",
+              color: "#2563eb",
+            },
+            ...(useRasch || useMFRM
+              ? [{ label: "Sum score baseline", color: "#9ca3af", dash: "5 5" }]
+              : []),
+            { label: "MCID (2–3 points)", color: "#bbf7d0", band: true },
+            currentDesignLegend,
+          ],
+    },
+    retention: {
+      chart: retentionChart,
+      title: isPowerMode
+        ? `Study retention: power to detect ${assumedRetentionEffect} pp`
+        : "Study retention: minimum detectable effect",
+      legend: isPowerMode
+        ? [
+            { label: "Power", color: "#16a34a" },
+            {
+              label: `Target power (${Math.round(power * 100)}%)`,
+              color: "#f59e0b",
+              dash: "3 3",
+            },
+            currentDesignLegend,
+          ]
+        : [
+            { label: "MDE", color: "#16a34a" },
+            { label: "5 pp", color: "#f59e0b", dash: "3 3" },
+            { label: "7 pp", color: "#f97316", dash: "3 3" },
+            currentDesignLegend,
+          ],
+    },
+    icc: {
+      chart: iccChart,
+      title: "Intraclass correlation validation: 95% CI half-width",
+      legend: [
+        { label: "CI half-width", color: "#0d9488" },
+        { label: "High precision (≤ ±0.05)", color: "#d1fae5", band: true },
+        {
+          label: `Rule out ICC < ${targetIcc}`,
+          color: "#ef4444",
+          dash: "3 3",
+        },
+        currentDesignLegend,
+      ],
+    },
+  };
+
+  // Download a chart as a publication-size SVG or PNG figure
+  const exportFigure = async (key, format) => {
+    const { chart, title, legend } = figures[key];
+    const figure = buildFigureSvg({
+      chart,
+      title,
+      legend,
+      caption: assumptionsCaption(key, params, currentDesign),
+    });
+    const filename = `aurora-${key}-${isPowerMode ? "power" : "mde"}`;
+    if (format === "svg") {
+      downloadFile(`${filename}.svg`, figure.svg, "image/svg+xml");
+    } else {
+      downloadFile(`${filename}.png`, await figureToPng(figure));
+    }
+  };
 
-hamd_result <- calc_hamd_mde(total_n)
-retention_result <- calc_retention_mde(total_n)
-icc_result <- calc_icc_validation(total_n)
-
-cat(paste0("HAM-D Results (N = ", total_n, "):\\n"))
-cat(paste0("  MDE: ", round(hamd_result$mde, 2), " points\\n"))
-cat(paste0("  Cohen's d: ", round(hamd_result$effect_size, 2), "\\n"))
-cat(paste0("  Clusters: ", hamd_result$n_clusters, "\\n"))
-cat(paste0("  Completers: ", hamd_result$n_completers, "\\n\\n"))
-cat(paste0("Retention Results (N = ", total_n, "):\\n"))
-cat(paste0("  MDE: ", round(retention_result$mde_pp, 1), " percentage points\\n"))
-cat(paste0("  Treatment rate: ", round(retention_result$treatment_rate, 1), "%\\n"))
-cat(paste0("  Control rate: ", round(retention_result$control_rate, 1), "%\\n\\n"))
-cat(paste0("ICC Validation (Treatment Arm):\\n"))
-cat(paste0("  Observations: ", icc_result$n_observations, "\\n"))
-cat(paste0("  95% CI: ", round(icc_result$lower_bound, 3), " - ", round(icc_result$upper_bound, 3), "\\n"))
-cat(paste0("  CI half-width: +/-", round(icc_result$ci_half_width, 3), "\\n"))
-cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule_out_poor, "Yes", "No"), "\\n"))
-`;
+  const renderExportButtons = (key) => (
+    <div className="flex gap-1">
+      {["svg", "png"].map((format) => (
+        <button
+          key={format}
+          onClick={() => exportFigure(key, format)}
+          className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-600 hover:bg-gray-200"
+          title={`Download as ${format.toUpperCase()} with legend and assumptions`}
+        >
+          {format.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
 
   return (
     <div className="p-4 md:p-6 max-w-6xl mx-auto bg-gray-50 min-h-screen">
@@ -651,38 +1127,108 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
         <h2 className="font-semibold mb-3 text-sm md:text-base">
           Current Design (N={currentN.toLocaleString()})
         </h2>
+        {analysisMode === "sampleSize" && (
+          <p
+            className={`text-xs md:text-sm mb-3 ${solvedDesign ? "text-blue-700" : "text-red-600"}`}
+          >
+            {solvedDesign
+              ? `Required: ${solvedDesign.nClinicians} clinicians × ${patientsPerCluster} patients to detect ${targetMde} ${targetMdeUnit === "d" ? "SD (Cohen's d)" : "HAM-D points"}`
+              : `Target of ${targetMde} ${targetMdeUnit === "d" ? "SD" : "points"} not reachable with up to 5,000 clinicians; showing ${nClinicians} clinicians`}
+          </p>
+        )}
+        {smallestArm.clusters < MIN_ARM_CLUSTERS && (
+          <p className="text-xs md:text-sm mb-3 text-amber-700">
+            ⚠ Only {smallestArm.clusters} clinicians in the {smallestArm.name}{" "}
+            arm: with fewer than {MIN_ARM_CLUSTERS} clusters per arm the normal
+            approximation understates the HAM-D MDE.{" "}
+            {smallestArm.clusters < 2
+              ? `With fewer than two clinicians in an arm its between-cluster variance has no degrees of freedom, so a t correction is undefined${currentHamd.df === Infinity ? "" : " and no MDE can be given"}.`
+              : currentHamd.df === Infinity
+                ? `A t correction with clusters − 2 df would raise it by ${hamdTCorrection.toFixed(1)}%.`
+                : `Using t quantiles with ${currentHamd.df.toFixed(0)} df, which raises the MDE by ${hamdTCorrection.toFixed(1)}%.`}
+          </p>
+        )}
         <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-6 gap-2 md:gap-4 text-xs md:text-sm">
-          <div className="bg-blue-50 p-2 md:p-3 rounded">
-            <div className="text-gray-500 text-xs">
-              HAM-D Min Detectable Effect
-            </div>
-            <div className="text-lg md:text-xl font-bold text-blue-700">
-              {currentHamd.mde.toFixed(2)} pts
-            </div>
-            <div className="text-gray-500 text-xs">
-              d = {currentHamd.effectSize.toFixed(2)}
-            </div>
-            {(useRasch || useMFRM) && (
-              <div className="text-xs text-green-600">
-                (was {currentHamd.baselineMDE?.toFixed(2)} pts)
+          {isPowerMode ? (
+            <div className="bg-blue-50 p-2 md:p-3 rounded">
+              <div className="text-gray-500 text-xs">
+                HAM-D Power ({assumedHamdEffect} pts)
+              </div>
+              <div className="text-lg md:text-xl font-bold text-blue-700">
+                {(currentHamdPower * 100).toFixed(1)}%
+              </div>
+              <div className="text-gray-500 text-xs">
+                d = {(assumedHamdEffect / sigmaHamd).toFixed(2)}
+              </div>
+              <div className="text-xs text-gray-400 hidden sm:block">
+                (MDE: {currentHamd.mde.toFixed(2)} pts)
               </div>
-            )}
-          </div>
-          <div className="bg-green-50 p-2 md:p-3 rounded">
-            <div className="text-gray-500 text-xs">
-              Retention Min Detectable Effect
             </div>
-            <div className="text-lg md:text-xl font-bold text-green-700">
-              {currentRetention.mde.toFixed(1)} pp
+          ) : (
+            <div className="bg-blue-50 p-2 md:p-3 rounded">
+              <div className="text-gray-500 text-xs">
+                HAM-D Min Detectable Effect
+              </div>
+              <div className="text-lg md:text-xl font-bold text-blue-700">
+                {Number.isNaN(currentHamd.mde)
+                  ? "—"
+                  : `${currentHamd.mde.toFixed(2)} pts`}
+              </div>
+              <div className="text-gray-500 text-xs">
+                d = {currentHamd.effectSize.toFixed(2)}
+              </div>
+              {(useRasch || useMFRM) && (
+                <div className="text-xs text-green-600">
+                  (was {currentHamd.baselineMDE?.toFixed(2)} pts)
+                </div>
+              )}
+              {Number.isFinite(currentHamd.df) && (
+                <div className="text-xs text-gray-400 hidden sm:block">
+                  (t, {currentHamd.df.toFixed(0)} df; normal:{" "}
+                  {currentHamd.normalMDE.toFixed(2)} pts)
+                </div>
+              )}
             </div>
-            <div className="text-gray-500 text-xs">
-              {currentRetention.treatmentRate.toFixed(1)}% vs{" "}
-              {currentRetention.controlRate}%
+          )}
+          {isPowerMode ? (
+            <div className="bg-green-50 p-2 md:p-3 rounded">
+              <div className="text-gray-500 text-xs">
+                Retention Power ({assumedRetentionEffect} pp)
+              </div>
+              <div className="text-lg md:text-xl font-bold text-green-700">
+                {(currentRetentionPower * 100).toFixed(1)}%
+              </div>
+              <div className="text-gray-500 text-xs">
+                {(
+                  currentRetention.controlRate - assumedRetentionEffect
+                ).toFixed(1)}
+                % vs {currentRetention.controlRate}%
+              </div>
+              <div className="text-xs text-gray-400 hidden sm:block">
+                {retentionModel === "hazardRatio"
+                  ? `(HR ${currentRetention.assumedHazardRatio.toFixed(2)}: ${Math.round(currentRetention.expectedEvents)} of ${Math.ceil(currentRetention.requiredEvents)} events needed)`
+                  : `(MDE: ${currentRetention.mde.toFixed(1)} pp)`}
+              </div>
             </div>
-            <div className="text-xs text-gray-400 hidden sm:block">
-              (binary: {currentRetention.binaryMDE?.toFixed(1)} pp)
+          ) : (
+            <div className="bg-green-50 p-2 md:p-3 rounded">
+              <div className="text-gray-500 text-xs">
+                Retention Min Detectable Effect
+              </div>
+              <div className="text-lg md:text-xl font-bold text-green-700">
+                {currentRetention.mde.toFixed(1)} pp
+              </div>
+              <div className="text-gray-500 text-xs">
+                {currentRetention.treatmentRate.toFixed(1)}% vs{" "}
+                {currentRetention.controlRate}%
+              </div>
+              <div className="text-xs text-gray-400 hidden sm:block">
+                {retentionModel === "hazardRatio"
+                  ? `(HR ${currentRetention.hazardRatio.toFixed(2)}, ${Math.round(currentRetention.expectedEvents)} expected dropouts)`
+                  : `(binary: ${currentRetention.binaryMDE?.toFixed(1)} pp)`}
+              </div>
             </div>
-          </div>
+          )}
           <div className="bg-purple-50 p-2 md:p-3 rounded">
             <div className="text-gray-500 text-xs">Clusters</div>
             <div className="text-lg md:text-xl font-bold text-purple-700">
@@ -699,7 +1245,12 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
               {currentHamd.nCompleters}
             </div>
             <div className="text-gray-500 text-xs">
-              after {(controlAttrition * 100).toFixed(0)}% attrition
+              {currentHamd.nTreatmentCompleters} tx /{" "}
+              {currentHamd.nControlCompleters} ctrl
+            </div>
+            <div className="text-xs text-gray-400 hidden sm:block">
+              after {(treatmentAttrition * 100).toFixed(0)}% /{" "}
+              {(controlAttrition * 100).toFixed(0)}% attrition
             </div>
           </div>
           <div
@@ -743,204 +1294,329 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
       <div className="bg-white rounded-lg shadow p-3 md:p-4 mb-4 md:mb-6">
         <div className="flex justify-between items-center mb-3">
           <h2 className="font-semibold text-sm md:text-base">Parameters</h2>
-          <button
-            onClick={resetToDefaults}
-            disabled={isDefaultSettings}
-            className={`px-3 py-1 text-xs rounded ${
-              isDefaultSettings
-                ? "bg-gray-100 text-gray-400 cursor-not-allowed"
-                : "bg-gray-200 text-gray-700 hover:bg-gray-300"
-            }`}
-          >
-            Reset to Defaults
-          </button>
-        </div>
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 md:gap-4">
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Power
-            </label>
-            <select
-              value={power}
-              onChange={(e) => setPower(parseFloat(e.target.value))}
-              className="w-full border rounded p-1.5 md:p-2 text-sm"
-            >
-              <option value={0.7}>70%</option>
-              <option value={0.75}>75%</option>
-              <option value={0.8}>80%</option>
-              <option value={0.85}>85%</option>
-              <option value={0.9}>90%</option>
-            </select>
-          </div>
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Alpha (Benjamini-Hochberg adjusted)
-            </label>
-            <select
-              value={alpha}
-              onChange={(e) => setAlpha(parseFloat(e.target.value))}
-              className="w-full border rounded p-1.5 md:p-2 text-sm"
+          <div className="flex gap-2">
+            <button
+              onClick={copyLink}
+              className="px-3 py-1 text-xs rounded bg-blue-50 text-blue-700 hover:bg-blue-100"
+              title="Copy a link to this scenario"
             >
-              <option value={0.05}>0.05 (none)</option>
-              <option value={0.025}>0.025 (B-H)</option>
-              <option value={0.01}>0.01</option>
-            </select>
-          </div>
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Clinicians
-            </label>
-            <select
-              value={nClinicians}
-              onChange={(e) => setNClinicians(parseInt(e.target.value))}
-              className="w-full border rounded p-1.5 md:p-2 text-sm"
+              {linkCopied ? "Copied!" : "Copy Link"}
+            </button>
+            <button
+              onClick={resetToDefaults}
+              disabled={isDefaultSettings}
+              className={`px-3 py-1 text-xs rounded ${
+                isDefaultSettings
+                  ? "bg-gray-100 text-gray-400 cursor-not-allowed"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
             >
-              <option value={60}>60</option>
-              <option value={80}>80</option>
-              <option value={100}>100</option>
-              <option value={120}>120</option>
-              <option value={140}>140</option>
-            </select>
+              Reset to Defaults
+            </button>
           </div>
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Patients/Clinician
-            </label>
-            <select
-              value={patientsPerCluster}
-              onChange={(e) => setPatientsPerCluster(parseInt(e.target.value))}
-              className="w-full border rounded p-1.5 md:p-2 text-sm"
+        </div>
+        {linkNotice && (
+          <div className="mb-3 p-2 bg-amber-50 border border-amber-200 rounded text-xs text-amber-800 flex justify-between items-start gap-2">
+            <span>
+              {linkNotice.outdated &&
+                "This link was made with a different version of the calculator. "}
+              {linkNotice.rejected.length > 0 &&
+                `Some settings in the link were invalid and reset to defaults: ${linkNotice.rejected.join(", ")}. `}
+              {linkNotice.clamped.length > 0 &&
+                `Some settings in the link were out of range for the others and adjusted: ${linkNotice.clamped.join("; ")}.`}
+            </span>
+            <button
+              onClick={() => setLinkNotice(null)}
+              className="text-amber-600 hover:text-amber-800"
+              aria-label="Dismiss"
             >
-              <option value={5}>5</option>
-              <option value={8}>8</option>
-              <option value={10}>10</option>
-              <option value={12}>12</option>
-              <option value={15}>15</option>
-            </select>
+              ×
+            </button>
           </div>
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Cluster Size Variation
-            </label>
-            <select
+        )}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 md:gap-4 mb-3 pb-3 border-b">
+          <SettingSelect
+            name="analysisMode"
+            value={analysisMode}
+            onChange={updateSetting("analysisMode")}
+          />
+          {isPowerMode && (
+            <>
+              <SettingNumber
+                name="assumedHamdEffect"
+                value={assumedHamdEffect}
+                onChange={updateSetting("assumedHamdEffect")}
+              />
+              <SettingNumber
+                name="assumedRetentionEffect"
+                value={assumedRetentionEffect}
+                onChange={updateSetting("assumedRetentionEffect")}
+                max={maxRetentionEffect(controlAttrition)}
+              />
+            </>
+          )}
+          {analysisMode === "sampleSize" && (
+            <>
+              <SettingNumber
+                name="targetMde"
+                value={targetMde}
+                onChange={updateSetting("targetMde")}
+                min={targetMdeUnit === "d" ? 0.01 : 0.1}
+                max={targetMdeUnit === "d" ? 2 : 14}
+                step={targetMdeUnit === "d" ? 0.01 : 0.1}
+              />
+              <SettingSelect
+                name="targetMdeUnit"
+                value={targetMdeUnit}
+                onChange={updateSetting("targetMdeUnit")}
+              />
+            </>
+          )}
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 md:gap-4">
+          <SettingNumber
+            name="power"
+            value={power}
+            onChange={updateSetting("power")}
+          />
+          <SettingNumber
+            name="alpha"
+            value={alpha}
+            onChange={updateSetting("alpha")}
+          />
+          <SettingSelect
+            name="sided"
+            value={sided}
+            onChange={updateSetting("sided")}
+          />
+          <SettingSelect
+            name="nClinicians"
+            value={nClinicians}
+            onChange={updateSetting("nClinicians")}
+            disabled={!!solvedDesign}
+            labelSuffix={
+              solvedDesign && ` (solved: ${solvedDesign.nClinicians})`
+            }
+          />
+          <SettingSelect
+            name="patientsPerCluster"
+            value={patientsPerCluster}
+            onChange={(value) =>
+              setSettings((current) => withPatientsPerCluster(current, value))
+            }
+          />
+          <SettingSelect
+            name="clusterSizeMethod"
+            value={clusterSizeMethod}
+            onChange={updateSetting("clusterSizeMethod")}
+          />
+          {clusterSizeMethod === "caseloads" ? (
+            <div className="col-span-2">
+              <SettingCaseloads
+                name="clusterSizes"
+                value={clusterSizes}
+                onChange={updateSetting("clusterSizes")}
+              >
+                <div className="text-xs text-gray-400">
+                  {caseloadSummary
+                    ? `${caseloadSummary.n} clinicians, mean ${caseloadSummary.mean.toFixed(1)}, CV ${caseloadSummary.cv.toFixed(2)} (scaled to ${patientsPerCluster} per clinician) → HAM-D design effect ${hamdDesignEffect.toFixed(2)}`
+                    : "Enter at least two caseloads; until then the CV formula is used"}
+                </div>
+              </SettingCaseloads>
+            </div>
+          ) : (
+            <SettingSlider
+              name="clusterSizeCV"
               value={clusterSizeCV}
-              onChange={(e) => setClusterSizeCV(parseFloat(e.target.value))}
-              className="w-full border rounded p-1.5 md:p-2 text-sm"
+              onChange={updateSetting("clusterSizeCV")}
             >
-              <option value={0}>0 (equal)</option>
-              <option value={0.2}>0.2 (low)</option>
-              <option value={0.4}>0.4 (moderate)</option>
-              <option value={0.6}>0.6 (high)</option>
-            </select>
-          </div>
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Control Attrition
-            </label>
-            <select
-              value={controlAttrition}
-              onChange={(e) => setControlAttrition(parseFloat(e.target.value))}
-              className="w-full border rounded p-1.5 md:p-2 text-sm"
-            >
-              <option value={0.2}>20%</option>
-              <option value={0.25}>25%</option>
-              <option value={0.3}>30%</option>
-              <option value={0.35}>35%</option>
-              <option value={0.4}>40%</option>
-            </select>
-          </div>
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Tx:Ctrl Ratio
-            </label>
-            <select
-              value={treatmentRatio}
-              onChange={(e) => setTreatmentRatio(parseInt(e.target.value))}
-              className="w-full border rounded p-1.5 md:p-2 text-sm"
-            >
-              <option value={1}>1:1</option>
-              <option value={2}>2:1</option>
-              <option value={3}>3:1</option>
-              <option value={4}>4:1</option>
-            </select>
-          </div>
+              <div className="text-xs text-gray-400 hidden sm:block">
+                HAM-D design effect {hamdDesignEffect.toFixed(2)}
+              </div>
+            </SettingSlider>
+          )}
+          <SettingSelect
+            name="controlAttrition"
+            value={controlAttrition}
+            onChange={(value) =>
+              // Lower the assumed retention effect with it if needed
+              setSettings((current) => ({
+                ...current,
+                controlAttrition: value,
+                assumedRetentionEffect: Math.min(
+                  current.assumedRetentionEffect,
+                  maxRetentionEffect(value),
+                ),
+              }))
+            }
+          />
+          <SettingSelect
+            name="treatmentAttrition"
+            value={treatmentAttrition}
+            onChange={updateSetting("treatmentAttrition")}
+          />
+          <SettingSelect
+            name="treatmentRatio"
+            value={treatmentRatio}
+            onChange={updateSetting("treatmentRatio")}
+          />
         </div>
 
         <div className="grid grid-cols-2 md:grid-cols-4 gap-2 md:gap-4 mt-3 md:mt-4">
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              HAM-D Intracluster Corr: {iccHamd}
-            </label>
-            <input
-              type="range"
-              min="0.01"
-              max="0.10"
-              step="0.01"
-              value={iccHamd}
-              onChange={(e) => setIccHamd(parseFloat(e.target.value))}
-              className="w-full"
-            />
-          </div>
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              HAM-D R²: {r2Hamd}
-            </label>
-            <input
-              type="range"
-              min="0.20"
-              max="0.50"
-              step="0.05"
-              value={r2Hamd}
-              onChange={(e) => setR2Hamd(parseFloat(e.target.value))}
-              className="w-full"
+          <SettingSlider
+            name="iccHamd"
+            value={iccHamd}
+            onChange={updateSetting("iccHamd")}
+          />
+          <SettingSlider
+            name="r2Hamd"
+            value={r2Hamd}
+            onChange={updateSetting("r2Hamd")}
+          />
+          <SettingSlider
+            name="sigmaHamd"
+            value={sigmaHamd}
+            onChange={updateSetting("sigmaHamd")}
+          />
+          <SettingSlider
+            name="ipcwVIF"
+            value={ipcwVIF}
+            onChange={updateSetting("ipcwVIF")}
+          />
+          <SettingSelect
+            name="smallSampleCorrection"
+            value={smallSampleCorrection}
+            onChange={updateSetting("smallSampleCorrection")}
+          />
+          <SettingSelect
+            name="repeatedMeasuresModel"
+            value={repeatedMeasuresModel}
+            onChange={updateSetting("repeatedMeasuresModel")}
+          />
+          {repeatedMeasuresModel === "fixed" ? (
+            <SettingSlider
+              name="repeatedMeasuresGain"
+              value={repeatedMeasuresGain}
+              onChange={updateSetting("repeatedMeasuresGain")}
             />
-          </div>
+          ) : (
+            <SettingSlider
+              name="withinCorrelation"
+              value={withinCorrelation}
+              onChange={updateSetting("withinCorrelation")}
+            >
+              <div className="text-xs text-gray-400 hidden sm:block">
+                {nFollowups} follow-ups → gain{" "}
+                {currentHamd.repeatedMeasuresGain.toFixed(2)}×
+              </div>
+            </SettingSlider>
+          )}
+          <SettingSlider
+            name="iccRetention"
+            value={iccRetention}
+            onChange={updateSetting("iccRetention")}
+          />
+          <SettingSlider
+            name="r2Retention"
+            value={r2Retention}
+            onChange={updateSetting("r2Retention")}
+            disabled={retentionModel === "hazardRatio"}
+          />
+          <SettingSelect
+            name="retentionModel"
+            value={retentionModel}
+            onChange={updateSetting("retentionModel")}
+          />
+          {retentionModel === "hazardRatio" ? (
+            <>
+              <SettingNumber
+                name="attritionMonths"
+                value={attritionMonths}
+                onChange={updateSetting("attritionMonths")}
+              />
+              <SettingNumber
+                name="followUpMonths"
+                value={followUpMonths}
+                onChange={updateSetting("followUpMonths")}
+              />
+            </>
+          ) : (
+            <SettingSlider
+              name="survivalEfficiency"
+              value={survivalEfficiency}
+              onChange={updateSetting("survivalEfficiency")}
+            >
+              <div className="text-xs text-gray-400 hidden sm:block">
+                1× = binary, 4-5× = continuous monitoring
+              </div>
+            </SettingSlider>
+          )}
+        </div>
+        <div className="mt-3 pt-3 border-t text-xs text-gray-500 font-mono space-y-1">
           <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Retention Intracluster Corr: {iccRetention}
-            </label>
-            <input
-              type="range"
-              min="0.01"
-              max="0.10"
-              step="0.01"
-              value={iccRetention}
-              onChange={(e) => setIccRetention(parseFloat(e.target.value))}
-              className="w-full"
-            />
+            HAM-D ANCOVA: Var(Δ) = σ²(1 − R²) × VIF × DE / gain × (1/n_tx +
+            1/n_ctrl) = {sigmaHamd}² × (1 − {r2Hamd}) × {ipcwVIF} × DE /{" "}
+            {currentHamd.repeatedMeasuresGain.toFixed(2)} × (…)
           </div>
           <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Retention R²: {r2Retention}
-            </label>
-            <input
-              type="range"
-              min="0.00"
-              max="0.20"
-              step="0.02"
-              value={r2Retention}
-              onChange={(e) => setR2Retention(parseFloat(e.target.value))}
-              className="w-full"
-            />
+            {repeatedMeasuresModel === "cs"
+              ? `Compound symmetry: gain = k / (1 + (k − 1)ρ) = ${nFollowups} / (1 + ${nFollowups - 1} × ${withinCorrelation})`
+              : repeatedMeasuresModel === "ar1"
+                ? `AR(1): gain = k² / Σᵢⱼ ρ^|i − j| with k = ${nFollowups}, ρ = ${withinCorrelation}`
+                : "Fixed repeated measures gain"}{" "}
+            = {currentHamd.repeatedMeasuresGain.toFixed(3)}
           </div>
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Survival eff: {survivalEfficiency}×
-            </label>
-            <input
-              type="range"
-              min="1"
-              max="5"
-              step="0.5"
-              value={survivalEfficiency}
-              onChange={(e) =>
-                setSurvivalEfficiency(parseFloat(e.target.value))
-              }
-              className="w-full"
-            />
-            <div className="text-xs text-gray-400 hidden sm:block">
-              1× = binary, 4-5× = continuous monitoring
+          {currentHamd.df !== Infinity && (
+            <div>
+              Small-sample correction: MDE = (t₁₋α,df + t_power,df) × SE with df
+              ={" "}
+              {Number.isNaN(currentHamd.df)
+                ? "undefined (an arm has fewer than two clinicians)"
+                : currentHamd.df.toFixed(1)}{" "}
+              (normal quantiles: {currentHamd.normalMDE.toFixed(2)} pts)
             </div>
+          )}
+          {retentionModel === "hazardRatio" && (
+            <div>
+              Retention (Schoenfeld): |log HR| = (zα + zβ) × √(DE / (π(1 − π) ×
+              D)) with D = {currentRetention.expectedEvents.toFixed(0)} expected
+              dropouts over {followUpMonths} months, DE ={" "}
+              {currentRetention.designEffect.toFixed(2)}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Chart Range Controls */}
+      <div className="bg-white rounded-lg shadow p-3 md:p-4 mb-4 md:mb-6">
+        <h2 className="font-semibold mb-3 text-sm md:text-base">
+          Sample Size Range
+        </h2>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 md:gap-4">
+          <SettingNumber
+            name="nMin"
+            value={nMin}
+            onChange={updateSetting("nMin")}
+            min={patientsPerCluster * 2}
+            max={nMax - nStep}
+            step={nStep}
+          />
+          <SettingNumber
+            name="nMax"
+            value={nMax}
+            onChange={updateSetting("nMax")}
+            min={nMin + nStep}
+            step={nStep}
+          />
+          <SettingNumber
+            name="nStep"
+            value={nStep}
+            onChange={updateSetting("nStep")}
+            min={Math.max(1, Math.ceil((nMax - nMin) / MAX_CURVE_POINTS))}
+            max={nMax - nMin}
+          />
+          <div className="text-xs text-gray-500 flex items-center">
+            {powerData.length} points; table every {nStep * 2}
           </div>
         </div>
       </div>
@@ -951,48 +1627,27 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
           Measurement Model (HAM-D)
         </h2>
         <div className="grid grid-cols-2 md:grid-cols-4 gap-2 md:gap-4 mb-3 md:mb-4">
-          <div className="flex items-center">
-            <input
-              type="radio"
-              id="modelSum"
-              name="measurementModel"
-              value="sum"
-              checked={measurementModel === "sum"}
-              onChange={(e) => setMeasurementModel(e.target.value)}
-              className="mr-2 h-4 w-4"
-            />
-            <label htmlFor="modelSum" className="text-xs md:text-sm">
-              Sum score
-            </label>
-          </div>
-          <div className="flex items-center">
-            <input
-              type="radio"
-              id="modelRasch"
-              name="measurementModel"
-              value="rasch"
-              checked={measurementModel === "rasch"}
-              onChange={(e) => setMeasurementModel(e.target.value)}
-              className="mr-2 h-4 w-4"
-            />
-            <label htmlFor="modelRasch" className="text-xs md:text-sm">
-              Rasch Partial Credit Model
-            </label>
-          </div>
-          <div className="flex items-center">
-            <input
-              type="radio"
-              id="modelMFRM"
-              name="measurementModel"
-              value="mfrm"
-              checked={measurementModel === "mfrm"}
-              onChange={(e) => setMeasurementModel(e.target.value)}
-              className="mr-2 h-4 w-4"
-            />
-            <label htmlFor="modelMFRM" className="text-xs md:text-sm">
-              Multi-Facet Rasch Model
-            </label>
-          </div>
+          {settingsSchema.measurementModel.options.map((option) => (
+            <div key={option.value} className="flex items-center">
+              <input
+                type="radio"
+                id={`measurementModel-${option.value}`}
+                name="measurementModel"
+                value={option.value}
+                checked={measurementModel === option.value}
+                onChange={(e) =>
+                  updateSetting("measurementModel")(e.target.value)
+                }
+                className="mr-2 h-4 w-4"
+              />
+              <label
+                htmlFor={`measurementModel-${option.value}`}
+                className="text-xs md:text-sm"
+              >
+                {option.label}
+              </label>
+            </div>
+          ))}
           <div className="text-xs md:text-sm text-gray-600">
             {(useRasch || useMFRM) && (
               <span className="text-green-600 font-medium">
@@ -1005,57 +1660,24 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
 
         {(useRasch || useMFRM) && (
           <div className="grid grid-cols-2 md:grid-cols-4 gap-2 md:gap-4 pt-3 border-t">
-            <div>
-              <label className="block text-xs md:text-sm text-gray-600 mb-1">
-                Sum reliability: {sumScoreReliability}
-              </label>
-              <input
-                type="range"
-                min="0.80"
-                max="0.92"
-                step="0.01"
-                value={sumScoreReliability}
-                onChange={(e) =>
-                  setSumScoreReliability(parseFloat(e.target.value))
-                }
-                className="w-full"
-                disabled={!useRasch}
-              />
-            </div>
-            <div>
-              <label className="block text-xs md:text-sm text-gray-600 mb-1">
-                Rasch rel: {raschReliability}
-              </label>
-              <input
-                type="range"
-                min="0.85"
-                max="0.95"
-                step="0.01"
-                value={raschReliability}
-                onChange={(e) =>
-                  setRaschReliability(parseFloat(e.target.value))
-                }
-                className="w-full"
-                disabled={!useRasch}
-              />
-            </div>
-            <div>
-              <label className="block text-xs md:text-sm text-gray-600 mb-1">
-                Rater var: {(raterVarianceProp * 100).toFixed(0)}%
-              </label>
-              <input
-                type="range"
-                min="0.03"
-                max="0.15"
-                step="0.01"
-                value={raterVarianceProp}
-                onChange={(e) =>
-                  setRaterVarianceProp(parseFloat(e.target.value))
-                }
-                className="w-full"
-                disabled={!useMFRM}
-              />
-            </div>
+            <SettingSlider
+              name="sumScoreReliability"
+              value={sumScoreReliability}
+              onChange={updateSetting("sumScoreReliability")}
+              disabled={!useRasch}
+            />
+            <SettingSlider
+              name="raschReliability"
+              value={raschReliability}
+              onChange={updateSetting("raschReliability")}
+              disabled={!useRasch}
+            />
+            <SettingSlider
+              name="raterVarianceProp"
+              value={raterVarianceProp}
+              onChange={updateSetting("raterVarianceProp")}
+              disabled={!useMFRM}
+            />
             <div className="text-xs text-gray-500 items-center hidden md:flex">
               <div>
                 <div>
@@ -1076,64 +1698,26 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
           Intraclass Correlation Validation (Treatment Arm)
         </h2>
         <div className="grid grid-cols-2 md:grid-cols-4 gap-2 md:gap-4">
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Expected Intraclass Corr: {expectedIcc}
-            </label>
-            <input
-              type="range"
-              min="0.70"
-              max="0.95"
-              step="0.01"
-              value={expectedIcc}
-              onChange={(e) => setExpectedIcc(parseFloat(e.target.value))}
-              className="w-full"
-            />
-          </div>
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Target Intraclass Corr: {targetIcc}
-            </label>
-            <input
-              type="range"
-              min="0.60"
-              max="0.80"
-              step="0.05"
-              value={targetIcc}
-              onChange={(e) => setTargetIcc(parseFloat(e.target.value))}
-              className="w-full"
-            />
-          </div>
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Follow-ups
-            </label>
-            <select
-              value={nFollowups}
-              onChange={(e) => setNFollowups(parseInt(e.target.value))}
-              className="w-full border rounded p-1.5 md:p-2 text-sm"
-            >
-              <option value={2}>2</option>
-              <option value={3}>3</option>
-              <option value={4}>4</option>
-              <option value={5}>5</option>
-              <option value={6}>6</option>
-            </select>
-          </div>
-          <div>
-            <label className="block text-xs md:text-sm text-gray-600 mb-1">
-              Cluster Intracluster Corr: {iccClusterCorr}
-            </label>
-            <input
-              type="range"
-              min="0.01"
-              max="0.10"
-              step="0.01"
-              value={iccClusterCorr}
-              onChange={(e) => setIccClusterCorr(parseFloat(e.target.value))}
-              className="w-full"
-            />
-          </div>
+          <SettingSlider
+            name="expectedIcc"
+            value={expectedIcc}
+            onChange={updateSetting("expectedIcc")}
+          />
+          <SettingSlider
+            name="targetIcc"
+            value={targetIcc}
+            onChange={updateSetting("targetIcc")}
+          />
+          <SettingSelect
+            name="nFollowups"
+            value={nFollowups}
+            onChange={updateSetting("nFollowups")}
+          />
+          <SettingSlider
+            name="iccClusterCorr"
+            value={iccClusterCorr}
+            onChange={updateSetting("iccClusterCorr")}
+          />
         </div>
         <div className="mt-2 text-xs text-gray-500">
           Tests if AURORA-clinician agreement exceeds threshold for "good"
@@ -1144,9 +1728,12 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
       <div className="grid md:grid-cols-2 gap-4 md:gap-6 mb-4 md:mb-6">
         {/* HAM-D Chart */}
         <div className="bg-white rounded-lg shadow p-3 md:p-4">
-          <h2 className="font-semibold mb-1 text-sm md:text-base">
-            Depression Severity (HAM-D)
-          </h2>
+          <div className="flex justify-between items-start gap-2 mb-1">
+            <h2 className="font-semibold text-sm md:text-base">
+              Depression Severity (HAM-D)
+            </h2>
+            {renderExportButtons("hamd")}
+          </div>
           {(useRasch || useMFRM) && (
             <p className="text-xs text-green-600 mb-2">
               Measurement optimization: -
@@ -1158,212 +1745,71 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
             height={250}
             className="md:!h-[300px]"
           >
-            <ComposedChart
-              data={powerData}
-              margin={{ bottom: 15, left: 0, right: 5 }}
-            >
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis
-                dataKey="n"
-                ticks={[400, 600, 800, 1000, 1200]}
-                label={{
-                  value: "Total N (patients)",
-                  position: "bottom",
-                  offset: 0,
-                }}
-              />
-              <YAxis
-                label={{
-                  value: "MDE (HAM-D points)",
-                  angle: -90,
-                  position: "insideLeft",
-                  style: { textAnchor: "middle" },
-                }}
-                domain={[0, 4]}
-              />
-              <Tooltip
-                formatter={(value, name) => {
-                  if (name === "With Rasch/MFRM" || name === "MDE")
-                    return [
-                      value.toFixed(2) + " pts",
-                      useRasch || useMFRM ? "MDE (optimized)" : "MDE",
-                    ];
-                  if (name === "Sum score baseline")
-                    return [value.toFixed(2) + " pts", "MDE (sum score)"];
-                  return [value, name];
-                }}
-                labelFormatter={(n) =>
-                  `N = ${n} (${Math.round(n / patientsPerCluster)} clusters)`
-                }
-              />
-              <Area
-                type="monotone"
-                dataKey={() => 3}
-                fill="#dcfce7"
-                stroke="none"
-                fillOpacity={0.5}
-                legendType="none"
-                tooltipType="none"
-              />
-              <Area
-                type="monotone"
-                dataKey={() => 2}
-                fill="#bbf7d0"
-                stroke="none"
-                fillOpacity={0.5}
-                legendType="none"
-                tooltipType="none"
-              />
-              {(useRasch || useMFRM) && (
-                <Line
-                  type="monotone"
-                  dataKey="hamdBaselineMDE"
-                  stroke="#9ca3af"
-                  strokeWidth={2}
-                  strokeDasharray="5 5"
-                  dot={false}
-                  name="Sum score baseline"
-                />
-              )}
-              <Line
-                type="monotone"
-                dataKey="hamdMDE"
-                stroke="#2563eb"
-                strokeWidth={2}
-                dot={false}
-                name={useRasch || useMFRM ? "With Rasch/MFRM" : "MDE"}
-              />
-              <ReferenceLine x={1000} stroke="#666" strokeDasharray="5 5" />
-              <ReferenceLine
-                y={2}
-                stroke="#16a34a"
-                strokeDasharray="3 3"
-                label={{
-                  value: "2 pts",
-                  position: "right",
-                  fill: "#16a34a",
-                  fontSize: 11,
-                }}
-              />
-              <ReferenceLine
-                y={3}
-                stroke="#22c55e"
-                strokeDasharray="3 3"
-                label={{
-                  value: "3 pts",
-                  position: "right",
-                  fill: "#22c55e",
-                  fontSize: 11,
-                }}
-              />
-            </ComposedChart>
+            {hamdChart}
           </ResponsiveContainer>
-          <div className="text-xs md:text-sm text-gray-600 mt-2">
-            <span className="inline-block w-3 h-3 bg-green-200 mr-1"></span>{" "}
-            <span className="hidden sm:inline">
-              Minimally clinically important difference (2-3 points)
-            </span>
-            <span className="sm:hidden">Min Clinical Diff (2-3 pts)</span>
-            {(useRasch || useMFRM) && (
-              <span className="ml-3 text-xs">
-                | <span className="text-gray-400">---</span> Sum score baseline
+          {isPowerMode ? (
+            <div className="text-xs md:text-sm text-gray-600 mt-2">
+              Power to detect {assumedHamdEffect} HAM-D points (d ={" "}
+              {(assumedHamdEffect / sigmaHamd).toFixed(2)}) | Target:{" "}
+              {Math.round(power * 100)}%
+            </div>
+          ) : (
+            <div className="text-xs md:text-sm text-gray-600 mt-2">
+              <span className="inline-block w-3 h-3 bg-green-200 mr-1"></span>{" "}
+              <span className="hidden sm:inline">
+                Minimally clinically important difference (2-3 points)
               </span>
-            )}
-          </div>
+              <span className="sm:hidden">Min Clinical Diff (2-3 pts)</span>
+              {(useRasch || useMFRM) && (
+                <span className="ml-3 text-xs">
+                  | <span className="text-gray-400">---</span> Sum score
+                  baseline
+                </span>
+              )}
+            </div>
+          )}
         </div>
 
         {/* Retention Chart */}
         <div className="bg-white rounded-lg shadow p-3 md:p-4">
-          <h2 className="font-semibold mb-1 text-sm md:text-base">
-            Study Retention
-          </h2>
+          <div className="flex justify-between items-start gap-2 mb-1">
+            <h2 className="font-semibold text-sm md:text-base">
+              Study Retention
+            </h2>
+            {renderExportButtons("retention")}
+          </div>
           <p className="text-xs text-gray-500 mb-2 md:mb-3">
-            Survival analysis with {survivalEfficiency}× efficiency (binary MDE:{" "}
-            {currentRetention.binaryMDE?.toFixed(1) || "N/A"} pp)
+            {retentionModel === "hazardRatio"
+              ? `Hazard ratio for dropout (Schoenfeld): ${Math.round(currentRetention.expectedEvents)} expected dropouts over ${followUpMonths} months detect HR ${currentRetention.hazardRatio.toFixed(2)}; ${Math.ceil(currentRetention.requiredEvents)} events needed for HR ${currentRetention.assumedHazardRatio.toFixed(2)} (${assumedRetentionEffect} pp)`
+              : `Survival analysis with ${survivalEfficiency}× efficiency (binary MDE: ${currentRetention.binaryMDE?.toFixed(1) || "N/A"} pp)`}
           </p>
           <ResponsiveContainer
             width="100%"
             height={250}
             className="md:!h-[300px]"
           >
-            <ComposedChart
-              data={powerData}
-              margin={{ bottom: 15, left: 0, right: 5 }}
-            >
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis
-                dataKey="n"
-                ticks={[400, 600, 800, 1000, 1200]}
-                label={{
-                  value: "Total N (patients)",
-                  position: "bottom",
-                  offset: 0,
-                }}
-              />
-              <YAxis
-                label={{
-                  value: "MDE (percentage points)",
-                  angle: -90,
-                  position: "insideLeft",
-                  style: { textAnchor: "middle" },
-                }}
-                domain={[0, 15]}
-              />
-              <Tooltip
-                formatter={(value, name) => {
-                  if (name === "retentionMDE")
-                    return [value.toFixed(2) + " pp", "MDE"];
-                  return [value, name];
-                }}
-                labelFormatter={(n) =>
-                  `N = ${n} (${Math.round(n / patientsPerCluster)} clusters)`
-                }
-              />
-              <Line
-                type="monotone"
-                dataKey="retentionMDE"
-                stroke="#16a34a"
-                strokeWidth={2}
-                dot={false}
-              />
-              <ReferenceLine x={1000} stroke="#666" strokeDasharray="5 5" />
-              <ReferenceLine
-                y={5}
-                stroke="#f59e0b"
-                strokeDasharray="3 3"
-                label={{
-                  value: "5 pp",
-                  position: "right",
-                  fill: "#f59e0b",
-                  fontSize: 11,
-                }}
-              />
-              <ReferenceLine
-                y={7}
-                stroke="#f97316"
-                strokeDasharray="3 3"
-                label={{
-                  value: "7 pp",
-                  position: "right",
-                  fill: "#f97316",
-                  fontSize: 11,
-                }}
-              />
-            </ComposedChart>
+            {retentionChart}
           </ResponsiveContainer>
           <div className="text-xs md:text-sm text-gray-600 mt-2">
             Control attrition: {(controlAttrition * 100).toFixed(0)}% →
             Treatment:{" "}
-            {(controlAttrition * 100 - currentRetention.mde).toFixed(1)}%
+            {(
+              controlAttrition * 100 -
+              (isPowerMode ? assumedRetentionEffect : currentRetention.mde)
+            ).toFixed(1)}
+            % (expected: {(treatmentAttrition * 100).toFixed(0)}%)
           </div>
         </div>
       </div>
 
       {/* ICC Validation Chart */}
       <div className="bg-white rounded-lg shadow p-3 md:p-4 mb-4 md:mb-6">
-        <h2 className="font-semibold mb-1 text-sm md:text-base">
-          Intraclass Correlation Validation (Treatment Arm Only)
-        </h2>
+        <div className="flex justify-between items-start gap-2 mb-1">
+          <h2 className="font-semibold text-sm md:text-base">
+            Intraclass Correlation Validation (Treatment Arm Only)
+          </h2>
+          {renderExportButtons("icc")}
+        </div>
         <p className="text-xs text-gray-500 mb-2 md:mb-3">
           95% confidence interval precision for AURORA-clinician agreement
           (target: rule out intraclass correlation {"<"} {targetIcc})
@@ -1373,81 +1819,7 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
           height={250}
           className="md:!h-[300px]"
         >
-          <ComposedChart
-            data={powerData}
-            margin={{ bottom: 15, left: 10, right: 5 }}
-          >
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis
-              dataKey="n"
-              ticks={[400, 600, 800, 1000, 1200]}
-              label={{
-                value: "Total N (patients)",
-                position: "bottom",
-                offset: 0,
-              }}
-            />
-            <YAxis
-              label={{
-                value: "95% CI half-width (±)",
-                angle: -90,
-                position: "insideLeft",
-                style: { textAnchor: "middle" },
-              }}
-              domain={[0, 0.08]}
-            />
-            <Tooltip
-              formatter={(value, name) => {
-                if (name === "CI half-width")
-                  return [value.toFixed(3), "CI half-width (±)"];
-                return [value, name];
-              }}
-              labelFormatter={(n) => {
-                const iccVal = calcIccValidation(n);
-                return `N=${n}: ${iccVal.nObservations} obs, CI: ${iccVal.lowerBound.toFixed(3)}-${iccVal.upperBound.toFixed(3)}`;
-              }}
-            />
-            <Area
-              type="monotone"
-              dataKey={() => 0.05}
-              fill="#d1fae5"
-              stroke="none"
-              fillOpacity={0.5}
-              legendType="none"
-              tooltipType="none"
-            />
-            <Line
-              type="monotone"
-              dataKey={(d) => d.iccCiWidth / 2}
-              stroke="#0d9488"
-              strokeWidth={2}
-              dot={false}
-              name="CI half-width"
-            />
-            <ReferenceLine x={1000} stroke="#666" strokeDasharray="5 5" />
-            <ReferenceLine
-              y={expectedIcc - targetIcc}
-              stroke="#ef4444"
-              strokeDasharray="3 3"
-              label={{
-                value: `±${(expectedIcc - targetIcc).toFixed(2)} (rule out <${targetIcc})`,
-                position: "right",
-                fill: "#ef4444",
-                fontSize: 10,
-              }}
-            />
-            <ReferenceLine
-              y={0.03}
-              stroke="#10b981"
-              strokeDasharray="3 3"
-              label={{
-                value: "±0.03",
-                position: "right",
-                fill: "#10b981",
-                fontSize: 11,
-              }}
-            />
-          </ComposedChart>
+          {iccChart}
         </ResponsiveContainer>
         <div className="text-xs md:text-sm text-gray-600 mt-2">
           <span className="inline-block w-3 h-3 bg-green-200 mr-1"></span>
@@ -1465,18 +1837,406 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
         </div>
       </div>
 
+      {/* Sample Size Justification */}
+      <div className="bg-white rounded-lg shadow p-3 md:p-4 mb-4 md:mb-6">
+        <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+          <h2 className="font-semibold text-sm md:text-base">
+            Sample Size Justification
+          </h2>
+          <div className="flex gap-2 items-center">
+            <select
+              value={justificationFormat}
+              onChange={(e) => setJustificationFormat(e.target.value)}
+              className="border rounded p-1 text-xs"
+              aria-label="Text format"
+            >
+              <option value="plain">Plain text</option>
+              <option value="markdown">Markdown</option>
+            </select>
+            <button
+              onClick={copyJustification}
+              className="px-3 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700"
+            >
+              {justificationCopied || "Copy"}
+            </button>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mb-2">
+          Draft wording for grant and protocol documents, generated from the
+          current design
+        </p>
+        <textarea
+          readOnly
+          value={justification}
+          rows={12}
+          className="w-full border rounded p-2 text-xs md:text-sm text-gray-800 bg-gray-50 font-mono"
+          onFocus={(e) => e.target.select()}
+        />
+      </div>
+
+      {/* Monte Carlo Check */}
+      <div className="bg-white rounded-lg shadow p-3 md:p-4 mb-4 md:mb-6">
+        <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+          <h2 className="font-semibold text-sm md:text-base">
+            Simulation Check
+          </h2>
+          <div className="flex flex-wrap gap-2 items-center text-xs">
+            <select
+              value={simEndpoint}
+              onChange={(e) => setSimEndpoint(e.target.value)}
+              disabled={simProgress !== null}
+              className="border rounded p-1 text-xs"
+              aria-label="Endpoint"
+            >
+              <option value="hamd">HAM-D MDE</option>
+              <option value="retention">Retention survival</option>
+            </select>
+            {simEndpoint === "retention" && (
+              <label className="flex items-center gap-1">
+                Weibull shape
+                <NumberInput
+                  value={simShape}
+                  onChange={setSimShape}
+                  min={0.2}
+                  max={5}
+                  step={0.1}
+                  className="w-16 border rounded p-1 text-xs"
+                />
+              </label>
+            )}
+            <label className="flex items-center gap-1">
+              Replicates
+              <select
+                value={simReplicates}
+                onChange={(e) => setSimReplicates(Number(e.target.value))}
+                disabled={simProgress !== null}
+                className="border rounded p-1 text-xs"
+              >
+                {[500, 1000, 2000, 5000, 10000].map((n) => (
+                  <option key={n} value={n}>
+                    {n}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-1">
+              Seed
+              <NumberInput
+                value={simSeed}
+                onChange={(v) => setSimSeed(Math.round(v))}
+                min={1}
+                max={999999}
+                step={1}
+                className="w-20 border rounded p-1 text-xs"
+              />
+            </label>
+            {simProgress === null ? (
+              <button
+                onClick={runSimulation}
+                className="px-3 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700"
+              >
+                Run
+              </button>
+            ) : (
+              <button
+                onClick={stopSimulation}
+                className="px-3 py-1 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+              >
+                Cancel
+              </button>
+            )}
+          </div>
+        </div>
+        {simEndpoint === "hamd" ? (
+          <p className="text-xs text-gray-500 mb-2">
+            Simulates trials at the current design ({currentClinicians}{" "}
+            clinicians, N = {currentN}) with a true effect equal to the analytic
+            MDE, and counts how often an ANCOVA with cluster-robust standard
+            errors detects it. Clinician random effects, cluster size variation,
+            attrition and the covariate are simulated; IPCW, repeated measures
+            and the measurement model scale the outcome variance.
+          </p>
+        ) : (
+          <p className="text-xs text-gray-500 mb-2">
+            Simulates time to dropout at the current design ({currentClinicians}{" "}
+            clinicians, N = {currentN}) for the assumed {assumedRetentionEffect}{" "}
+            pp reduction in attrition, with gamma clinician frailty matched to
+            the retention ICC, Weibull hazards (shape 1 is exponential) and
+            censoring at the end of follow-up. Each trial is analysed by a
+            cluster-robust log-rank test and by the binary difference in
+            dropout; the squared ratio of their mean z statistics is the
+            survival efficiency the slider assumes. Neither analysis adjusts for
+            the covariate. With every patient followed to the same end date the
+            log-rank test does not depend on the shape.
+          </p>
+        )}
+        {simProgress !== null && (
+          <div className="mb-2">
+            <div className="h-2 bg-gray-200 rounded">
+              <div
+                className="h-2 bg-blue-600 rounded"
+                style={{ width: `${(simProgress / simReplicates) * 100}%` }}
+              ></div>
+            </div>
+            <div className="text-xs text-gray-500 mt-1">
+              {simProgress} / {simReplicates} replicates
+            </div>
+          </div>
+        )}
+        {simError && (
+          <div className="text-xs text-red-600 mb-2">{simError}</div>
+        )}
+        {simulation && simulation.endpoint === simEndpoint && (
+          <div
+            className={`text-xs md:text-sm ${
+              simulation.params !== params ? "opacity-50" : ""
+            }`}
+          >
+            {simulation.params !== params && (
+              <div className="text-amber-700 mb-1">
+                Settings have changed since this run
+              </div>
+            )}
+            {simulation.endpoint === "hamd"
+              ? renderHamdSimulation(simulation.result)
+              : renderRetentionSimulation(simulation.result)}
+          </div>
+        )}
+      </div>
+
+      {/* Scenario Library */}
+      <div
+        className={`bg-white rounded-lg shadow p-3 md:p-4 mb-4 md:mb-6 ${
+          isDraggingFile ? "ring-2 ring-blue-400" : ""
+        }`}
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDraggingFile(true);
+        }}
+        onDragLeave={() => setIsDraggingFile(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setIsDraggingFile(false);
+          importSettingsFile(e.dataTransfer.files[0]);
+        }}
+      >
+        <div className="flex flex-wrap justify-between items-center gap-2 mb-1">
+          <h2 className="font-semibold text-sm md:text-base">Scenarios</h2>
+          <div className="flex gap-2">
+            <button
+              onClick={exportSettingsFile}
+              className="px-3 py-1 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+              title="Download the current settings and all scenarios as JSON"
+            >
+              Export JSON
+            </button>
+            <label className="px-3 py-1 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300 cursor-pointer">
+              Import JSON
+              <input
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={(e) => {
+                  importSettingsFile(e.target.files[0]);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mb-3">
+          Save the current parameters under a name, load them back later, and
+          tick 2–4 scenarios to compare their curves. Drop an exported JSON file
+          here to import it.
+        </p>
+        {importReport && (
+          <div
+            className={`mb-3 p-2 border rounded text-xs ${
+              importReport.error
+                ? "bg-red-50 border-red-200 text-red-800"
+                : "bg-blue-50 border-blue-200 text-blue-900"
+            }`}
+          >
+            <div className="flex justify-between items-start gap-2">
+              <div className="font-medium">
+                {importReport.error
+                  ? `Could not import ${importReport.fileName}: ${importReport.error}`
+                  : `Imported ${importReport.fileName}: ${
+                      importReport.settingsApplied
+                        ? "current settings applied"
+                        : "no current settings"
+                    }, ${importReport.scenarioCount} scenario(s) added`}
+              </div>
+              <button
+                onClick={() => setImportReport(null)}
+                className="opacity-70 hover:opacity-100"
+                aria-label="Dismiss"
+              >
+                ×
+              </button>
+            </div>
+            {importReport.sections &&
+              importReport.sections.map((section) => (
+                <div key={section.title} className="mt-1">
+                  <span className="font-medium">{section.title}:</span>{" "}
+                  {section.migrated.length +
+                    section.ignored.length +
+                    section.defaulted.length +
+                    section.clamped.length ===
+                  0
+                    ? "all fields read"
+                    : [
+                        section.migrated.length > 0 &&
+                          `migrated ${section.migrated.join("; ")}`,
+                        section.ignored.length > 0 &&
+                          `ignored unknown ${section.ignored.join(", ")}`,
+                        section.defaulted.length > 0 &&
+                          `defaulted ${section.defaulted.join(", ")}`,
+                        section.clamped.length > 0 &&
+                          `adjusted ${section.clamped.join("; ")}`,
+                      ]
+                        .filter(Boolean)
+                        .join(". ")}
+                </div>
+              ))}
+          </div>
+        )}
+        <div className="flex flex-wrap gap-2 mb-3">
+          <input
+            type="text"
+            value={newScenarioName}
+            onChange={(e) => setNewScenarioName(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && saveScenario()}
+            placeholder={`Scenario ${scenarios.length + 1}`}
+            className="border rounded p-1 text-xs md:text-sm flex-1 min-w-[150px]"
+          />
+          <button
+            onClick={saveScenario}
+            className="px-3 py-1 text-xs rounded bg-blue-600 text-white hover:bg-blue-700"
+          >
+            Save Current
+          </button>
+        </div>
+        {scenarios.length > 0 && (
+          <div className="overflow-x-auto mb-3">
+            <table className="w-full text-xs md:text-sm min-w-[500px]">
+              <thead>
+                <tr className="border-b">
+                  <th className="text-center p-2 w-16">Compare</th>
+                  <th className="text-left p-2">Name</th>
+                  <th className="text-right p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {scenarios.map((scenario) => (
+                  <tr key={scenario.id} className="border-b">
+                    <td className="p-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={compareIds.includes(scenario.id)}
+                        onChange={() => toggleCompare(scenario.id)}
+                      />
+                    </td>
+                    <td className="p-2">
+                      <input
+                        type="text"
+                        value={scenario.name}
+                        onChange={(e) =>
+                          updateScenario(scenario.id, { name: e.target.value })
+                        }
+                        className="border rounded p-1 w-full"
+                        aria-label="Scenario name"
+                      />
+                    </td>
+                    <td className="p-2 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => applySettings(scenario.settings)}
+                        className="px-2 py-1 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300 mr-1"
+                      >
+                        Load
+                      </button>
+                      <button
+                        onClick={() =>
+                          updateScenario(scenario.id, { settings })
+                        }
+                        className="px-2 py-1 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300 mr-1"
+                        title="Overwrite with the current parameters"
+                      >
+                        Update
+                      </button>
+                      <button
+                        onClick={() => duplicateScenario(scenario)}
+                        className="px-2 py-1 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300 mr-1"
+                      >
+                        Duplicate
+                      </button>
+                      <button
+                        onClick={() => deleteScenario(scenario.id)}
+                        className="px-2 py-1 text-xs rounded bg-red-50 text-red-700 hover:bg-red-100"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {comparedScenarios.length >= 2 ? (
+          <ScenarioCompare scenarios={comparedScenarios} />
+        ) : (
+          scenarios.length > 0 && (
+            <p className="text-xs text-gray-500">
+              Tick at least two scenarios to compare them
+            </p>
+          )
+        )}
+      </div>
+
       {/* Sample Size Table */}
       <div className="bg-white rounded-lg shadow p-3 md:p-4 mb-4 md:mb-6">
-        <h2 className="font-semibold mb-3 text-sm md:text-base">
-          Sample Size Requirements
-        </h2>
+        <div className="flex justify-between items-center mb-3">
+          <h2 className="font-semibold text-sm md:text-base">
+            Sample Size Requirements
+          </h2>
+          <div className="flex gap-2">
+            <button
+              onClick={() =>
+                downloadFile(
+                  `aurora-power-curves-${new Date().toISOString().slice(0, 10)}.csv`,
+                  powerDataCsv(powerData, settings),
+                  "text/csv;charset=utf-8",
+                )
+              }
+              className="px-3 py-1 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300"
+              title="Download every N on the curves, with the parameters used"
+            >
+              Download CSV
+            </button>
+            <select
+              value={tableUnit}
+              onChange={(e) => updateSetting("tableUnit")(e.target.value)}
+              className="border rounded p-1 text-xs"
+              aria-label={settingsSchema.tableUnit.label}
+            >
+              {settingsSchema.tableUnit.options.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
         <div className="overflow-x-auto -mx-3 px-3 md:mx-0 md:px-0">
           <table className="w-full text-xs md:text-sm min-w-[500px]">
             <thead>
               <tr className="border-b">
-                <th className="text-left p-1.5 md:p-2">N</th>
+                <th className="text-left p-1.5 md:p-2">
+                  {tableUnit === "clinicians" ? "Clinicians" : "N"}
+                </th>
                 <th className="text-left p-1.5 md:p-2 hidden sm:table-cell">
-                  Clusters
+                  {tableUnit === "clinicians" ? "N" : "Clusters"}
                 </th>
                 <th className="text-left p-1.5 md:p-2">HAM-D</th>
                 {(useRasch || useMFRM) && (
@@ -1495,48 +2255,50 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
               </tr>
             </thead>
             <tbody>
-              {[400, 500, 600, 700, 800, 900, 1000, 1100, 1200, 1300].map(
-                (n) => {
-                  const hamd = calcHamdMDE(n);
-                  const retention = calcRetentionMDE(n);
-                  const iccVal = calcIccValidation(n);
-                  const isCurrentDesign = n === 1000;
-                  return (
-                    <tr
-                      key={n}
-                      className={`border-b ${isCurrentDesign ? "bg-blue-50 font-semibold" : ""}`}
-                    >
-                      <td className="p-1.5 md:p-2">{n}</td>
-                      <td className="p-1.5 md:p-2 hidden sm:table-cell">
-                        {hamd.nClusters}
-                      </td>
-                      <td className="p-1.5 md:p-2">{hamd.mde.toFixed(2)}</td>
-                      {(useRasch || useMFRM) && (
-                        <td className="p-1.5 md:p-2 text-gray-400 hidden md:table-cell">
-                          {hamd.baselineMDE.toFixed(2)}
-                        </td>
-                      )}
-                      <td className="p-1.5 md:p-2">
-                        {hamd.effectSize.toFixed(2)}
-                      </td>
-                      <td className="p-1.5 md:p-2">
-                        {retention.mde.toFixed(1)}
-                      </td>
-                      <td className="p-1.5 md:p-2 hidden sm:table-cell">
-                        {retention.treatmentRate.toFixed(1)}%
+              {sampleSizeRows(params, currentN, tableUnit).map((n) => {
+                const hamd = calcHamdMDE(n, params);
+                const retention = calcRetentionMDE(n, params);
+                const iccVal = calcIccValidation(n, params);
+                const isCurrentDesign = n === currentN;
+                return (
+                  <tr
+                    key={n}
+                    className={`border-b ${isCurrentDesign ? "bg-blue-50 font-semibold" : ""}`}
+                  >
+                    <td className="p-1.5 md:p-2">
+                      {tableUnit === "clinicians" ? hamd.nClusters : n}
+                    </td>
+                    <td className="p-1.5 md:p-2 hidden sm:table-cell">
+                      {tableUnit === "clinicians" ? n : hamd.nClusters}
+                    </td>
+                    <td className="p-1.5 md:p-2">{hamd.mde.toFixed(2)}</td>
+                    {(useRasch || useMFRM) && (
+                      <td className="p-1.5 md:p-2 text-gray-400 hidden md:table-cell">
+                        {hamd.baselineMDE.toFixed(2)}
                       </td>
-                      <td
-                        className={`p-1.5 md:p-2 hidden md:table-cell ${iccVal.canRuleOutPoor ? "text-teal-600" : "text-red-600"}`}
-                      >
-                        {iccVal.ciHalfWidth.toFixed(3)}
-                      </td>
-                    </tr>
-                  );
-                },
-              )}
+                    )}
+                    <td className="p-1.5 md:p-2">
+                      {hamd.effectSize.toFixed(2)}
+                    </td>
+                    <td className="p-1.5 md:p-2">{retention.mde.toFixed(1)}</td>
+                    <td className="p-1.5 md:p-2 hidden sm:table-cell">
+                      {retention.treatmentRate.toFixed(1)}%
+                    </td>
+                    <td
+                      className={`p-1.5 md:p-2 hidden md:table-cell ${iccVal.canRuleOutPoor ? "text-teal-600" : "text-red-600"}`}
+                    >
+                      {iccVal.ciHalfWidth.toFixed(3)}
+                    </td>
+                  </tr>
+                );
+              })}
             </tbody>
           </table>
         </div>
+        <p className="text-xs text-gray-500 mt-2">
+          Highlighted row is the current design ({currentClinicians} clinicians
+          × {patientsPerCluster} patients)
+        </p>
         {(useRasch || useMFRM) && (
           <p className="text-xs text-gray-500 mt-2">
             Gray column shows MDE with traditional sum scoring for comparison
@@ -1559,7 +2321,16 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
           <div className="p-3 md:p-4 border-t">
             <div className="flex flex-wrap items-center gap-3 mb-3">
               <button
-                onClick={() => runRCode(rCodeForExecution)}
+                onClick={() =>
+                  runRCode(
+                    rScript,
+                    jsVerificationFigures(
+                      currentHamd,
+                      currentRetention,
+                      currentIcc,
+                    ),
+                  )
+                }
                 disabled={webRStatus === "loading" || webRStatus === "running"}
                 className={`px-4 py-2 text-sm font-medium rounded ${
                   webRStatus === "loading" || webRStatus === "running"
@@ -1575,6 +2346,28 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
                       ? "Run Again"
                       : "Run in Browser"}
               </button>
+              <button
+                onClick={() =>
+                  runRCode(
+                    rScript + buildRCurveScript(powerData.map((d) => d.n)),
+                    jsVerificationFigures(
+                      currentHamd,
+                      currentRetention,
+                      currentIcc,
+                    ),
+                    powerData,
+                  )
+                }
+                disabled={webRStatus === "loading" || webRStatus === "running"}
+                className={`px-4 py-2 text-sm font-medium rounded border ${
+                  webRStatus === "loading" || webRStatus === "running"
+                    ? "border-gray-300 text-gray-400 cursor-wait"
+                    : "border-blue-600 text-blue-700 hover:bg-blue-50"
+                }`}
+                title="Recompute every point on the charts in R and overlay them"
+              >
+                Verify Curves
+              </button>
               {webRStatus === "loading" && (
                 <div className="flex items-center gap-2">
                   <div className="w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
@@ -1586,204 +2379,153 @@ cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule
               </span>
             </div>
 
-            {webROutput && (
-              <div className="mb-3 p-3 bg-green-50 border border-green-200 rounded">
-                <div className="text-xs font-medium text-green-800 mb-1">
-                  R Output:
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-xs text-gray-600">
+              <label htmlFor="webRSource">R runtime:</label>
+              <select
+                id="webRSource"
+                value={webRSource}
+                onChange={(e) => {
+                  const source = e.target.value;
+                  setWebRSource(source);
+                  if (source === "cdn") changeWebRBaseUrl(CDN_WEBR_BASE_URL);
+                  if (source === "bundled") {
+                    changeWebRBaseUrl(BUNDLED_WEBR_BASE_URL);
+                  }
+                }}
+                disabled={webRStatus === "loading" || webRStatus === "running"}
+                className="border rounded p-1 text-xs"
+              >
+                <option value="cdn">WebR {WEBR_VERSION} (CDN)</option>
+                <option value="bundled">Bundled with this site</option>
+                <option value="custom">Custom URL</option>
+              </select>
+              {webRSource === "custom" && (
+                <input
+                  key={webRBaseUrl}
+                  type="url"
+                  defaultValue={webRBaseUrl}
+                  onBlur={(e) => {
+                    const url = e.target.value.trim();
+                    if (url && url !== webRBaseUrl) changeWebRBaseUrl(url);
+                  }}
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") e.target.blur();
+                  }}
+                  disabled={
+                    webRStatus === "loading" || webRStatus === "running"
+                  }
+                  className="flex-1 min-w-[200px] border rounded p-1 text-xs font-mono"
+                />
+              )}
+            </div>
+
+            {webROutput &&
+              (webRStatus === "error" ? (
+                <div className="mb-3 p-3 bg-red-50 border border-red-200 rounded">
+                  <div className="text-xs font-medium text-red-800 mb-1">
+                    R runtime error:
+                  </div>
+                  <pre className="text-xs text-red-900 whitespace-pre-wrap font-mono">
+                    {webROutput}
+                  </pre>
+                </div>
+              ) : (
+                <div className="mb-3 p-3 bg-green-50 border border-green-200 rounded">
+                  <div className="text-xs font-medium text-green-800 mb-1">
+                    R Output:
+                  </div>
+                  <pre className="text-xs text-green-900 whitespace-pre-wrap font-mono">
+                    {webROutput}
+                  </pre>
+                </div>
+              ))}
+
+            {parityCheck && (
+              <div className="mb-3 p-3 border rounded">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+                  <div
+                    className={`text-xs font-medium ${
+                      parityCheck.every((c) => c.pass)
+                        ? "text-green-700"
+                        : "text-red-700"
+                    }`}
+                  >
+                    {parityCheck.every((c) => c.pass)
+                      ? "✓ R reproduces every JS figure"
+                      : `⚠ ${parityCheck.filter((c) => !c.pass).length} figure(s) differ between JS and R`}
+                  </div>
+                  <label className="text-xs text-gray-600 flex items-center gap-1">
+                    Relative tolerance
+                    <NumberInput
+                      value={verifyTolerance}
+                      min={1e-12}
+                      max={0.1}
+                      step={1e-6}
+                      onChange={setVerifyTolerance}
+                      className="w-24 border rounded p-1 text-xs"
+                    />
+                  </label>
+                </div>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-xs min-w-[400px]">
+                    <thead>
+                      <tr className="border-b">
+                        <th className="text-left p-1.5">Figure</th>
+                        <th className="text-right p-1.5">JS</th>
+                        <th className="text-right p-1.5">R</th>
+                        <th className="text-right p-1.5">|Diff|</th>
+                        <th className="text-center p-1.5">Check</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {parityCheck.map((c) => (
+                        <tr key={c.label} className="border-b">
+                          <td className="p-1.5">{c.label}</td>
+                          <td className="p-1.5 text-right font-mono">
+                            {c.js.toFixed(c.digits)}
+                          </td>
+                          <td className="p-1.5 text-right font-mono">
+                            {Number.isFinite(c.r)
+                              ? c.r.toFixed(c.digits)
+                              : c.r === null
+                                ? "non-finite"
+                                : "missing"}
+                          </td>
+                          <td className="p-1.5 text-right font-mono">
+                            {Number.isFinite(c.diff)
+                              ? c.diff.toExponential(1)
+                              : "–"}
+                          </td>
+                          <td
+                            className={`p-1.5 text-center font-medium ${c.pass ? "text-green-600" : "text-red-600"}`}
+                          >
+                            {c.pass ? "Pass" : "Fail"}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
                 </div>
-                <pre className="text-xs text-green-900 whitespace-pre-wrap font-mono">
-                  {webROutput}
-                </pre>
               </div>
             )}
 
-            <pre className="bg-gray-900 text-gray-100 p-3 md:p-4 rounded text-xs overflow-x-auto">
-              <code>{`# AURORA Trial Power Calculations
-# Reproduces the minimum detectable effect (MDE) calculations
-
-# ============================================
-# Current parameter values from the calculator
-# ============================================
-
-# Trial design parameters
-total_n <- ${currentN}                        # Total sample size
-patients_per_cluster <- ${patientsPerCluster}
-cluster_size_cv <- ${clusterSizeCV}              # Coefficient of variation in cluster sizes
-treatment_ratio <- ${treatmentRatio}                 # Treatment:Control ratio (${treatmentRatio}:1)
-control_attrition <- ${controlAttrition}            # Expected attrition rate
-
-# Statistical parameters
-power <- ${power}
-alpha <- ${alpha}                      # Two-sided alpha (Benjamini-Hochberg adjusted)
-z_alpha <- qnorm(1 - alpha/2)          # Z-score for two-tailed alpha
-z_beta <- qnorm(power)                 # Z-score for power
-
-# HAM-D outcome parameters
-icc_hamd <- ${iccHamd}                   # Intracluster correlation
-r2_hamd <- ${r2Hamd}                     # Variance explained by covariates
-sigma_hamd <- 7                        # HAM-D standard deviation
-
-# Retention outcome parameters
-icc_retention <- ${iccRetention}             # Intracluster correlation
-r2_retention <- ${r2Retention}              # Variance explained by covariates
-survival_efficiency <- ${survivalEfficiency}           # Efficiency gain from survival analysis
-
-# ICC validation parameters
-target_icc <- ${targetIcc}                 # Threshold for "good" reliability
-expected_icc <- ${expectedIcc}               # Expected ICC based on preliminary data
-icc_cluster_corr <- ${iccClusterCorr}           # Intracluster correlation for ICC estimation
-n_followups <- ${nFollowups}                   # Number of follow-up assessments
-
-# ============================================
-# HAM-D MDE Calculation
-# ============================================
-
-calc_hamd_mde <- function(total_n) {
-  # Calculate cluster allocation
-  n_clusters <- round(total_n / patients_per_cluster)
-  treatment_prop <- treatment_ratio / (treatment_ratio + 1)
-  n_treatment_clusters <- round(n_clusters * treatment_prop)
-  n_control_clusters <- n_clusters - n_treatment_clusters
-
-  # Patients after attrition
-  n_treatment <- n_treatment_clusters * patients_per_cluster * (1 - control_attrition)
-  n_control <- n_control_clusters * patients_per_cluster * (1 - control_attrition)
-
-  # Harmonic mean of completers
-  n_harmonic <- (2 * n_treatment * n_control) / (n_treatment + n_control)
-
-  # Variance calculations
-  sigma2 <- sigma_hamd^2
-  sigma2_adj <- sigma2 * (1 - r2_hamd)
-
-  # Design effect for clustering (adjusted for unequal cluster sizes)
-  cluster_size <- patients_per_cluster * (1 - control_attrition)
-  design_effect <- (1 + (cluster_size - 1) * icc_hamd) * (1 + cluster_size_cv^2)
-
-  # IPCW variance inflation factor
-  ipcw_vif <- 1.2
-
-  # Repeated measures efficiency (4 timepoints, r ~ 0.5)
-  repeated_measures_gain <- 1.43
-
-  # Net variance
-  net_variance <- (sigma2_adj * design_effect * ipcw_vif) / repeated_measures_gain
-
-  # MDE
-  mde <- (z_alpha + z_beta) * sqrt(2 * net_variance / n_harmonic)
-
-  return(list(
-    mde = mde,
-    effect_size = mde / sigma_hamd,  # Cohen's d
-    n_clusters = n_clusters,
-    n_completers = round(n_treatment + n_control)
-  ))
-}
-
-# ============================================
-# Retention MDE Calculation
-# ============================================
-
-calc_retention_mde <- function(total_n) {
-  # Calculate cluster allocation
-  n_clusters <- round(total_n / patients_per_cluster)
-  treatment_prop <- treatment_ratio / (treatment_ratio + 1)
-  n_treatment_clusters <- round(n_clusters * treatment_prop)
-  n_control_clusters <- n_clusters - n_treatment_clusters
-
-  n_treatment <- n_treatment_clusters * patients_per_cluster
-  n_control <- n_control_clusters * patients_per_cluster
-
-  # Design effect (adjusted for unequal cluster sizes)
-  design_effect <- (1 + (patients_per_cluster - 1) * icc_retention) * (1 + cluster_size_cv^2)
-
-  p0 <- control_attrition
-
-  # Base SE for proportion difference
-  base_se <- sqrt(p0 * (1 - p0) * (1/n_treatment + 1/n_control))
-
-  # Apply clustering, covariate adjustment, and survival efficiency
-  clustered_se <- base_se * sqrt(design_effect)
-  adjusted_se <- clustered_se * sqrt(1 - r2_retention)
-  survival_se <- adjusted_se / sqrt(survival_efficiency)
-
-  mde <- (z_alpha + z_beta) * survival_se
-
-  return(list(
-    mde_pp = mde * 100,  # Percentage points
-    control_rate = p0 * 100,
-    treatment_rate = (p0 - mde) * 100
-  ))
-}
-
-# ============================================
-# ICC Validation Calculation (Treatment Arm)
-# ============================================
-
-calc_icc_validation <- function(total_n) {
-  n_clusters <- round(total_n / patients_per_cluster)
-  treatment_prop <- treatment_ratio / (treatment_ratio + 1)
-  n_treatment_clusters <- round(n_clusters * treatment_prop)
-
-  # Treatment arm patients after attrition
-  n_treatment_patients <- n_treatment_clusters * patients_per_cluster * (1 - control_attrition)
-
-  # Total observations = patients × follow-up assessments
-  n_observations <- n_treatment_patients * n_followups
-
-  # Design effect for clustering in ICC estimation
-  avg_obs_per_cluster <- n_observations / n_treatment_clusters
-  design_effect <- 1 + (avg_obs_per_cluster - 1) * icc_cluster_corr
-
-  # Effective sample size
-  n_effective <- n_observations / design_effect
-
-  # Standard error of ICC estimate
-  se_icc <- (1 - expected_icc^2) * sqrt(2 / (n_effective - 1))
-
-  # 95% CI half-width
-  ci_half_width <- 1.96 * se_icc
-
-  # Lower bound of 95% CI
-  lower_bound <- expected_icc - ci_half_width
-
-  # Can we rule out ICC < target?
-  can_rule_out_poor <- lower_bound > target_icc
-
-  return(list(
-    n_observations = round(n_observations),
-    ci_half_width = ci_half_width,
-    lower_bound = lower_bound,
-    upper_bound = expected_icc + ci_half_width,
-    can_rule_out_poor = can_rule_out_poor
-  ))
-}
+            {rCurveCheck && (
+              <div className="mb-3 p-3 border rounded text-xs">
+                <div className="font-medium mb-1">
+                  Curves: R recomputed {rCurvePoints.length} sample sizes (dots
+                  on the charts above)
+                </div>
+                <div className="text-gray-600">
+                  Largest |JS − R| difference: HAM-D MDE{" "}
+                  {rCurveCheck.hamdMDE.toExponential(1)} pts, retention MDE{" "}
+                  {rCurveCheck.retentionMDE.toExponential(1)} pp, ICC CI
+                  half-width {rCurveCheck.iccCiHalfWidth.toExponential(1)}
+                </div>
+              </div>
+            )}
 
-# ============================================
-# Run calculations
-# ============================================
-
-hamd_result <- calc_hamd_mde(total_n)
-retention_result <- calc_retention_mde(total_n)
-icc_result <- calc_icc_validation(total_n)
-
-cat(paste0("HAM-D Results (N = ", total_n, "):\\n"))
-cat(paste0("  MDE: ", round(hamd_result$mde, 2), " points\\n"))
-cat(paste0("  Cohen's d: ", round(hamd_result$effect_size, 2), "\\n"))
-cat(paste0("  Clusters: ", hamd_result$n_clusters, "\\n"))
-cat(paste0("  Completers: ", hamd_result$n_completers, "\\n\\n"))
-
-cat(paste0("Retention Results (N = ", total_n, "):\\n"))
-cat(paste0("  MDE: ", round(retention_result$mde_pp, 1), " percentage points\\n"))
-cat(paste0("  Treatment rate: ", round(retention_result$treatment_rate, 1), "%\\n"))
-cat(paste0("  Control rate: ", round(retention_result$control_rate, 1), "%\\n\\n"))
-
-cat(paste0("ICC Validation (Treatment Arm):\\n"))
-cat(paste0("  Observations: ", icc_result$n_observations, "\\n"))
-cat(paste0("  95% CI: ", round(icc_result$lower_bound, 3), " - ", round(icc_result$upper_bound, 3), "\\n"))
-cat(paste0("  CI half-width: +/-", round(icc_result$ci_half_width, 3), "\\n"))
-cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule_out_poor, "Yes", "No"), "\\n"))
-`}</code>
+            <pre className="bg-gray-900 text-gray-100 p-3 md:p-4 rounded text-xs overflow-x-auto">
+              <code>{rScript}</code>
             </pre>
           </div>
         )}
@@ -0,0 +1,186 @@
+import React, { useMemo } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import {
+  calcCurrentDesign,
+  calcHamdMDE,
+  calcIccValidation,
+  calcRetentionMDE,
+} from "./powerEngine";
+import { defaults } from "./settings";
+import { niceTicks } from "./chartScales";
+
+const scenarioColors = ["#2563eb", "#dc2626", "#16a34a", "#9333ea"];
+
+// Keep overlaid curves to a manageable number of points
+const MAX_POINTS = 200;
+
+// Overlay the HAM-D, retention and ICC curves of 2-4 named scenarios on
+// shared N axes, with a table of each scenario's current design
+export default function ScenarioCompare({ scenarios }) {
+  const paramsList = useMemo(
+    () => scenarios.map((s) => ({ ...defaults, ...s.settings })),
+    [scenarios],
+  );
+
+  // One grid spanning every scenario's N range, at the finest step. Each
+  // scenario's curves start at its own floor of two clinicians.
+  const { data, nMin, nMax } = useMemo(() => {
+    const nMin = Math.min(...paramsList.map((p) => p.nMin));
+    const nMax = Math.max(...paramsList.map((p) => p.nMax));
+    const step = Math.max(
+      Math.min(...paramsList.map((p) => p.nStep)),
+      Math.ceil((nMax - nMin) / MAX_POINTS),
+    );
+    const data = [];
+    for (let n = nMin; n <= nMax; n += step) {
+      const row = { n };
+      paramsList.forEach((p, i) => {
+        if (n < 2 * p.patientsPerCluster) return;
+        row[`hamd${i}`] = calcHamdMDE(n, p).mde;
+        row[`retention${i}`] = calcRetentionMDE(n, p).mde;
+        row[`icc${i}`] = calcIccValidation(n, p).ciHalfWidth;
+      });
+      data.push(row);
+    }
+    return { data, nMin, nMax };
+  }, [paramsList]);
+
+  const designs = useMemo(
+    () => paramsList.map((p) => calcCurrentDesign(p)),
+    [paramsList],
+  );
+
+  const nTicks = niceTicks(nMin, nMax);
+
+  const renderChart = (title, prefix, yLabel, digits) => (
+    <div className="bg-white rounded-lg shadow p-3 md:p-4">
+      <h3 className="font-semibold mb-1 text-sm">{title}</h3>
+      <ResponsiveContainer width="100%" height={250}>
+        <LineChart data={data} margin={{ bottom: 15, left: 0, right: 5 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis
+            dataKey="n"
+            type="number"
+            domain={[nMin, nMax]}
+            ticks={nTicks}
+            label={{
+              value: "Total N (patients)",
+              position: "bottom",
+              offset: 0,
+            }}
+          />
+          <YAxis
+            label={{
+              value: yLabel,
+              angle: -90,
+              position: "insideLeft",
+              style: { textAnchor: "middle" },
+            }}
+          />
+          <Tooltip
+            formatter={(value, name) => [value.toFixed(digits), name]}
+            labelFormatter={(n) => `N = ${n}`}
+          />
+          <Legend verticalAlign="top" height={28} />
+          {scenarios.map((s, i) => (
+            <Line
+              key={s.id}
+              type="monotone"
+              dataKey={`${prefix}${i}`}
+              stroke={scenarioColors[i]}
+              strokeWidth={2}
+              dot={false}
+              name={s.name}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  return (
+    <div>
+      <div className="grid md:grid-cols-3 gap-4 mb-4">
+        {renderChart("HAM-D MDE", "hamd", "MDE (HAM-D points)", 2)}
+        {renderChart("Retention MDE", "retention", "MDE (pp)", 2)}
+        {renderChart("ICC CI half-width", "icc", "95% CI half-width (±)", 3)}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs md:text-sm min-w-[600px]">
+          <thead>
+            <tr className="border-b">
+              <th className="text-left p-2">Scenario</th>
+              <th className="text-right p-2">Clinicians</th>
+              <th className="text-right p-2">N</th>
+              <th className="text-right p-2">HAM-D MDE</th>
+              <th className="text-right p-2">Cohen's d</th>
+              <th className="text-right p-2">HAM-D power</th>
+              <th className="text-right p-2">Retention MDE</th>
+              <th className="text-right p-2">Retention power</th>
+              <th className="text-right p-2">ICC CI</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scenarios.map((s, i) => {
+              const design = designs[i];
+              const p = paramsList[i];
+              return (
+                <tr key={s.id} className="border-b">
+                  <td className="p-2">
+                    <span
+                      className="inline-block w-2.5 h-2.5 rounded-full mr-2"
+                      style={{ backgroundColor: scenarioColors[i] }}
+                    ></span>
+                    {s.name}
+                  </td>
+                  <td className="p-2 text-right">
+                    {design.nClinicians}
+                    {p.analysisMode === "sampleSize" && !design.solved && " *"}
+                  </td>
+                  <td className="p-2 text-right">{design.totalN}</td>
+                  <td className="p-2 text-right">
+                    {design.hamd.mde.toFixed(2)}
+                  </td>
+                  <td className="p-2 text-right">
+                    {design.hamd.effectSize.toFixed(2)}
+                  </td>
+                  <td className="p-2 text-right">
+                    {(design.hamdPower * 100).toFixed(1)}% (
+                    {p.assumedHamdEffect} pts)
+                  </td>
+                  <td className="p-2 text-right">
+                    {design.retention.mde.toFixed(1)} pp
+                  </td>
+                  <td className="p-2 text-right">
+                    {(design.retentionPower * 100).toFixed(1)}% (
+                    {p.assumedRetentionEffect} pp)
+                  </td>
+                  <td className="p-2 text-right">
+                    {design.icc.lowerBound.toFixed(3)}–
+                    {design.icc.upperBound.toFixed(3)}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {designs.some(
+        (d, i) => paramsList[i].analysisMode === "sampleSize" && !d.solved,
+      ) && (
+        <p className="text-xs text-gray-500 mt-2">
+          * Target MDE not reachable; showing the chosen number of clinicians
+        </p>
+      )}
+    </div>
+  );
+}
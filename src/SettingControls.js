@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from "react";
+import { formatSetting, settingsSchema } from "./settings";
+import {
+  clusterSizesFromCsv,
+  formatClusterSizes,
+  parseClusterSizes,
+} from "./clusterSizes";
+
+// Controls for the settings in settingsSchema. Labels, limits and options
+// come from the schema; props can tighten limits that depend on other
+// settings (e.g. the N range).
+
+const labelClass = "block text-xs md:text-sm text-gray-600 mb-1";
+const fieldClass = "w-full border rounded p-1.5 md:p-2 text-sm";
+
+// Numeric input that only commits values within [min, max] (and whole
+// numbers when integer is set), so partially typed numbers (e.g. "0.0")
+// don't flow into the calculations
+export function NumberInput({
+  value,
+  min,
+  max,
+  step,
+  integer,
+  onChange,
+  className,
+}) {
+  const [text, setText] = useState(String(value));
+
+  useEffect(() => {
+    setText(String(value));
+  }, [value]);
+
+  return (
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        const parsed = parseFloat(e.target.value);
+        if (
+          !isNaN(parsed) &&
+          parsed >= min &&
+          parsed <= max &&
+          (!integer || Number.isInteger(parsed))
+        ) {
+          onChange(parsed);
+        }
+      }}
+      onBlur={() => setText(String(value))}
+      className={className}
+    />
+  );
+}
+
+// Slider labelled with the setting's current value
+export function SettingSlider({ name, value, onChange, disabled, children }) {
+  const field = settingsSchema[name];
+  return (
+    <div>
+      <label className={labelClass} title={field.description}>
+        {field.label}: {formatSetting(name, value)}
+      </label>
+      <input
+        type="range"
+        min={field.min}
+        max={field.max}
+        step={field.step}
+        value={value}
+        onChange={(e) => onChange(parseFloat(e.target.value))}
+        className="w-full"
+        disabled={disabled}
+      />
+      {children}
+    </div>
+  );
+}
+
+// Select over the setting's allowed values. labelSuffix adds context to the
+// label, e.g. a solved value.
+export function SettingSelect({
+  name,
+  value,
+  onChange,
+  disabled,
+  labelSuffix,
+}) {
+  const field = settingsSchema[name];
+  return (
+    <div>
+      <label className={labelClass} title={field.description}>
+        {field.label}
+        {labelSuffix}
+      </label>
+      <select
+        value={value}
+        onChange={(e) =>
+          onChange(
+            field.type === "number"
+              ? parseFloat(e.target.value)
+              : e.target.value,
+          )
+        }
+        disabled={disabled}
+        className={fieldClass}
+      >
+        {field.options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+// Number input limited to the schema range, or to min/max when given
+export function SettingNumber({ name, value, onChange, min, max, step }) {
+  const field = settingsSchema[name];
+  return (
+    <div>
+      <label className={labelClass} title={field.description}>
+        {field.label}
+      </label>
+      <NumberInput
+        value={value}
+        min={min ?? field.min}
+        max={max ?? field.max}
+        step={step ?? field.step}
+        integer={field.integer}
+        onChange={onChange}
+        className={fieldClass}
+      />
+    </div>
+  );
+}
+
+// List of expected caseloads, typed or pasted, or read from a CSV of clinic
+// sizes. Like NumberInput, only complete valid lists are committed.
+export function SettingCaseloads({ name, value, onChange, children }) {
+  const field = settingsSchema[name];
+  const [text, setText] = useState(value);
+  const [error, setError] = useState(null);
+
+  // Keep the typed text while it still says the same as value
+  useEffect(() => {
+    setText((current) => {
+      const sizes = parseClusterSizes(current);
+      return sizes && formatClusterSizes(sizes) === value ? current : value;
+    });
+  }, [value]);
+
+  const uploadCsv = async (file) => {
+    if (!file) return;
+    try {
+      onChange(formatClusterSizes(clusterSizesFromCsv(await file.text())));
+      setError(null);
+    } catch (e) {
+      setError(`${file.name}: ${e.message}`);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-1">
+        <label className={labelClass} title={field.description}>
+          {field.label}
+        </label>
+        <label className="px-2 py-0.5 text-xs rounded bg-gray-200 text-gray-700 hover:bg-gray-300 cursor-pointer">
+          Upload CSV
+          <input
+            type="file"
+            accept=".csv,.txt,text/csv,text/plain"
+            className="hidden"
+            onChange={(e) => {
+              uploadCsv(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+      <textarea
+        value={text}
+        rows={3}
+        placeholder="e.g. 12, 8, 15, 20, 6"
+        onChange={(e) => {
+          setText(e.target.value);
+          const sizes = parseClusterSizes(e.target.value);
+          setError(sizes ? null : "Caseloads must be positive numbers");
+          if (sizes) onChange(formatClusterSizes(sizes));
+        }}
+        onBlur={() => {
+          setText(value);
+          setError(null);
+        }}
+        className={`${fieldClass} font-mono text-xs`}
+      />
+      {error && <div className="text-xs text-red-600">{error}</div>}
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,204 @@
+// Export of the power curve charts as SVG or PNG figures
+// Charts are re-rendered offscreen at a fixed publication size, so the
+// figure doesn't depend on the window width, then framed with a title,
+// legend and a caption of the key assumptions.
+
+import React from "react";
+import { createRoot } from "react-dom/client";
+import { flushSync } from "react-dom";
+import { Area, Line } from "recharts";
+import { tAlpha, zAlpha } from "./powerEngine";
+import { settingsSchema } from "./settings";
+import { activeCaseloads } from "./clusterSizes";
+
+// Figure size in SVG units (CSS pixels). PNGs are drawn at PNG_SCALE times
+// this, about 300 dpi at the 7.5 inch width of a journal page.
+export const FIGURE_WIDTH = 720;
+export const CHART_HEIGHT = 400;
+export const PNG_SCALE = 4;
+
+const FONT = "Helvetica, Arial, sans-serif";
+const PADDING = 16;
+const TITLE_HEIGHT = 32;
+const LEGEND_ROW_HEIGHT = 20;
+const CAPTION_LINE_HEIGHT = 15;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Render a Recharts chart element at a fixed size and return its <svg>
+// markup. Animations are switched off so every series is fully drawn.
+function renderChartSvg(chart, width, height) {
+  const children = React.Children.map(chart.props.children, (child) =>
+    child && (child.type === Line || child.type === Area)
+      ? React.cloneElement(child, { isAnimationActive: false })
+      : child,
+  );
+  const container = document.createElement("div");
+  container.style.position = "absolute";
+  container.style.left = "-10000px";
+  document.body.appendChild(container);
+  const root = createRoot(container);
+  try {
+    flushSync(() => {
+      root.render(React.cloneElement(chart, { width, height }, children));
+    });
+    const svg = container.querySelector("svg.recharts-surface");
+    if (!svg) throw new Error("The chart did not render.");
+    // Recharts sizes the surface with CSS to fill its container; the
+    // figure needs the fixed width and height attributes instead
+    svg.removeAttribute("style");
+    return new XMLSerializer().serializeToString(svg);
+  } finally {
+    root.unmount();
+    container.remove();
+  }
+}
+
+// Break a caption line into pieces of at most maxChars, at spaces
+function wrapLine(line, maxChars) {
+  const lines = [];
+  let current = "";
+  line.split(" ").forEach((word) => {
+    if (current && current.length + word.length + 1 > maxChars) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  if (current) lines.push(current);
+  return lines;
+}
+
+// Legend entries are { label, color } with optional dash (a stroke
+// dasharray) or band: true for a shaded region
+function legendMarkup(legend, y) {
+  let x = PADDING;
+  const items = legend.map((item) => {
+    const swatch = item.band
+      ? `<rect x="${x}" y="${y - 9}" width="18" height="10" fill="${item.color}" />`
+      : `<line x1="${x}" y1="${y - 4}" x2="${x + 18}" y2="${y - 4}" stroke="${item.color}" stroke-width="2"${
+          item.dash ? ` stroke-dasharray="${item.dash}"` : ""
+        } />`;
+    const text = `<text x="${x + 24}" y="${y}" font-size="12" fill="#374151">${escapeXml(item.label)}</text>`;
+    x += 24 + item.label.length * 6.5 + 18;
+    return swatch + text;
+  });
+  return items.join("");
+}
+
+// Standalone SVG document: title, chart, legend and caption
+export function buildFigureSvg({ chart, title, legend, caption }) {
+  const width = FIGURE_WIDTH;
+  // About 5.5 units per character at the 11-unit caption font size
+  const captionLines = caption.flatMap((line) =>
+    wrapLine(line, Math.floor((width - 2 * PADDING) / 5.5)),
+  );
+  const chartTop = PADDING + TITLE_HEIGHT;
+  const legendTop = chartTop + CHART_HEIGHT + LEGEND_ROW_HEIGHT;
+  const captionTop = legendTop + LEGEND_ROW_HEIGHT;
+  const height =
+    captionTop + captionLines.length * CAPTION_LINE_HEIGHT + PADDING;
+
+  const chartSvg = renderChartSvg(chart, width - 2 * PADDING, CHART_HEIGHT);
+  const captionText = captionLines
+    .map(
+      (line, i) =>
+        `<text x="${PADDING}" y="${captionTop + i * CAPTION_LINE_HEIGHT}" font-size="11" fill="#4b5563">${escapeXml(line)}</text>`,
+    )
+    .join("");
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+    `<rect width="100%" height="100%" fill="#ffffff" />`,
+    `<text x="${PADDING}" y="${PADDING + 18}" font-size="16" font-weight="bold" fill="#111827">${escapeXml(title)}</text>`,
+    `<g transform="translate(${PADDING}, ${chartTop})">${chartSvg}</g>`,
+    legendMarkup(legend, legendTop),
+    captionText,
+    `</svg>`,
+  ].join("");
+  return { svg, width, height };
+}
+
+// Rasterise an SVG figure to a PNG blob at PNG_SCALE times its size
+export function figureToPng({ svg, width, height }) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(
+      new Blob([svg], { type: "image/svg+xml;charset=utf-8" }),
+    );
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * PNG_SCALE;
+      canvas.height = height * PNG_SCALE;
+      const context = canvas.getContext("2d");
+      context.scale(PNG_SCALE, PNG_SCALE);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(
+        (blob) =>
+          blob ? resolve(blob) : reject(new Error("Could not create the PNG.")),
+        "image/png",
+      );
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not draw the chart."));
+    };
+    image.src = url;
+  });
+}
+
+// Caption lines listing the assumptions behind a chart
+export function assumptionsCaption(chart, params, design) {
+  const pct = (v) => `${Math.round(v * 100)}%`;
+  const caseloads = activeCaseloads(params);
+  const clusterSizes = caseloads
+    ? `cluster sizes from ${caseloads.n} caseloads (CV ${caseloads.cv.toFixed(2)})`
+    : `cluster size CV ${params.clusterSizeCV}, ${
+        settingsSchema.clusterSizeMethod.options.find(
+          (o) => o.value === params.clusterSizeMethod,
+        ).label
+      } design effect`;
+  const designLine = `Current design: ${design.nClinicians} clinicians × ${params.patientsPerCluster} patients (N = ${design.totalN}), ${params.treatmentRatio}:1 treatment:control clusters, ${clusterSizes}.`;
+  const { df } = design.hamd;
+  const critical =
+    df === Infinity
+      ? `z = ${zAlpha(params.alpha, params.sided).toFixed(3)}`
+      : Number.isNaN(df)
+        ? "HAM-D t undefined with fewer than two clusters in an arm"
+        : `HAM-D t = ${tAlpha(params.alpha, params.sided, df).toFixed(3)} with ${df.toFixed(0)} df`;
+  const testing = `Power ${pct(params.power)}, α = ${params.alpha} (${params.sided}-sided, ${critical}).`;
+  const attrition = `Attrition: control ${pct(params.controlAttrition)}, treatment ${pct(params.treatmentAttrition)}.`;
+
+  if (chart === "hamd") {
+    const measurement = settingsSchema.measurementModel.options
+      .find((o) => o.value === params.measurementModel)
+      .label.toLowerCase();
+    return [
+      designLine,
+      `${testing} ${attrition}`,
+      `HAM-D: SD ${params.sigmaHamd}, ICC ${params.iccHamd}, R² ${params.r2Hamd}, IPCW VIF ${params.ipcwVIF}, repeated-measures gain ${design.hamd.repeatedMeasuresGain.toFixed(2)} (${params.nFollowups} follow-ups), ${measurement} scoring.`,
+    ];
+  }
+  if (chart === "retention") {
+    return [
+      designLine,
+      `${testing} ${attrition}`,
+      params.retentionModel === "hazardRatio"
+        ? `Retention: hazard ratio for dropout (Schoenfeld), ICC ${params.iccRetention}, attrition over ${params.attritionMonths} months, ${params.followUpMonths} months of follow-up (${Math.round(design.retention.expectedEvents)} expected dropouts).`
+        : `Retention: ICC ${params.iccRetention}, R² ${params.r2Retention}, survival analysis efficiency ${params.survivalEfficiency}× over a binary endpoint.`,
+    ];
+  }
+  return [
+    designLine,
+    `Treatment arm only. ${attrition}`,
+    `Agreement: expected ICC ${params.expectedIcc}, target ${params.targetIcc}, ${params.nFollowups} follow-ups, clinician-level correlation ${params.iccClusterCorr}.`,
+  ];
+}
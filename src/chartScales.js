@@ -0,0 +1,34 @@
+// Axis helpers for the power curve charts
+// Derive ticks and domains from the data instead of hard-coding them, so
+// pilot-scale and scaled-up designs stay on the chart.
+
+// Round up to the next half-decade step (e.g. 3.3 -> 3.5, 0.047 -> 0.05)
+export function niceCeil(value) {
+  if (!(value > 0)) return 1;
+  const step = Math.pow(10, Math.floor(Math.log10(value))) / 2;
+  return Number((Math.ceil(value / step) * step).toPrecision(12));
+}
+
+// Round-numbered ticks (1, 2, 2.5 or 5 × 10^k apart) covering [min, max]
+export function niceTicks(min, max, count = 6) {
+  if (!(max > min)) return [min];
+  const raw = (max - min) / (count - 1);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].find((m) => m * magnitude >= raw) * magnitude;
+  const ticks = [];
+  for (
+    let t = Math.ceil(min / step) * step;
+    t <= max + step * 1e-9;
+    t += step
+  ) {
+    ticks.push(Number(t.toPrecision(12)));
+  }
+  return ticks;
+}
+
+// Y-axis domain from zero to the largest data value or reference line
+export function fitDomain(values, references = []) {
+  const finite = values.filter((v) => Number.isFinite(v));
+  const max = Math.max(0, ...finite, ...references);
+  return [0, niceCeil(max * 1.05)];
+}
@@ -0,0 +1,77 @@
+// Expected per-clinician caseloads
+// The clusterSizes setting holds caseloads as text ("12, 8, 15"), so it can
+// be saved, shared in a link and exported like any other setting. They can
+// be pasted as a list or read from a CSV of clinic sizes.
+
+// Caseloads from a list of numbers separated by commas, semicolons, spaces
+// or new lines. Returns null if anything in the list isn't a positive number.
+export function parseClusterSizes(text) {
+  const tokens = String(text)
+    .split(/[\s,;]+/)
+    .filter((t) => t !== "");
+  const sizes = tokens.map(Number);
+  return sizes.every((m) => Number.isFinite(m) && m > 0) ? sizes : null;
+}
+
+// Setting text for a list of caseloads
+export function formatClusterSizes(sizes) {
+  return sizes.join(", ");
+}
+
+// Mean and coefficient of variation of the caseloads
+export function clusterSizeSummary(sizes) {
+  const mean = sizes.reduce((sum, m) => sum + m, 0) / sizes.length;
+  const variance =
+    sizes.reduce((sum, m) => sum + (m - mean) * (m - mean), 0) / sizes.length;
+  return { n: sizes.length, mean, cv: Math.sqrt(variance) / mean };
+}
+
+// Caseloads from a CSV of clinic sizes: the column headed like "size",
+// "caseload" or "patients", otherwise the last column that is numeric in
+// every row. A header row is optional. Throws a readable Error.
+export function clusterSizesFromCsv(text) {
+  const rows = String(text)
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line) => line.split(/[,;\t]/).map((cell) => cell.trim()))
+    .filter((cells) => cells.some((cell) => cell !== ""));
+  if (rows.length === 0) throw new Error("The file is empty.");
+
+  const isNumber = (cell) => cell !== "" && Number.isFinite(Number(cell));
+  const hasHeader = !rows[0].some(isNumber);
+  const header = hasHeader ? rows[0].map((cell) => cell.toLowerCase()) : [];
+  const body = hasHeader ? rows.slice(1) : rows;
+  const width = Math.max(...body.map((cells) => cells.length));
+
+  let column = header.findIndex((name) =>
+    /size|caseload|patients|^n$/.test(name),
+  );
+  if (column === -1) {
+    for (let c = width - 1; c >= 0; c--) {
+      if (body.every((cells) => isNumber(cells[c] ?? ""))) {
+        column = c;
+        break;
+      }
+    }
+  }
+  if (column === -1) {
+    throw new Error("No column of clinic sizes was found.");
+  }
+
+  const sizes = body.map((cells) => Number(cells[column]));
+  if (!sizes.every((m) => Number.isFinite(m) && m > 0)) {
+    throw new Error("Clinic sizes must all be positive numbers.");
+  }
+  if (sizes.length < 2) {
+    throw new Error("At least two clinic sizes are needed.");
+  }
+  return sizes;
+}
+
+// Summary of the caseloads the design effect uses, or null when it uses
+// the CV formulas (another method, or fewer than two caseloads)
+export function activeCaseloads(params) {
+  if (params.clusterSizeMethod !== "caseloads") return null;
+  const sizes = parseClusterSizes(params.clusterSizes);
+  return sizes && sizes.length >= 2 ? clusterSizeSummary(sizes) : null;
+}
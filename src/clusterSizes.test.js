@@ -0,0 +1,53 @@
+import {
+  activeCaseloads,
+  clusterSizesFromCsv,
+  parseClusterSizes,
+} from "./clusterSizes";
+
+describe("clusterSizesFromCsv", () => {
+  test("reads the column headed like a size", () => {
+    const csv = "Clinic,Caseload,Region\nA,12,3\nB,8,1\nC,15,2\n";
+    expect(clusterSizesFromCsv(csv)).toEqual([12, 8, 15]);
+    expect(clusterSizesFromCsv("id;n\n1;20\n2;30")).toEqual([20, 30]);
+  });
+
+  test("falls back to the last all-numeric column", () => {
+    expect(clusterSizesFromCsv("Clinic,Code,Staff\nA,101,4\nB,102,\n")).toEqual(
+      [101, 102],
+    );
+  });
+
+  test("treats the first row as data when it has numbers", () => {
+    expect(clusterSizesFromCsv("A\t12\r\nB\t8\r\n\r\nC\t15")).toEqual([
+      12, 8, 15,
+    ]);
+  });
+
+  test("ignores a byte order mark", () => {
+    expect(clusterSizesFromCsv("\uFEFFpatients\n10\n20")).toEqual([10, 20]);
+  });
+
+  test("throws a readable error for unusable files", () => {
+    expect(() => clusterSizesFromCsv("\n \n")).toThrow("empty");
+    expect(() => clusterSizesFromCsv("Clinic,Region\nA,North\n")).toThrow(
+      "No column",
+    );
+    expect(() => clusterSizesFromCsv("size\n12\n0\n")).toThrow(
+      "positive numbers",
+    );
+    expect(() => clusterSizesFromCsv("size\n12\n")).toThrow("two clinic");
+  });
+});
+
+test("parseClusterSizes accepts any separator and rejects bad entries", () => {
+  expect(parseClusterSizes("12, 8;15\n 10")).toEqual([12, 8, 15, 10]);
+  expect(parseClusterSizes("12, eight")).toBeNull();
+  expect(parseClusterSizes("12, -1")).toBeNull();
+});
+
+test("activeCaseloads is used only with two or more caseloads", () => {
+  const params = { clusterSizeMethod: "caseloads", clusterSizes: "5, 15" };
+  expect(activeCaseloads(params)).toEqual({ n: 2, mean: 10, cv: 0.5 });
+  expect(activeCaseloads({ ...params, clusterSizes: "10" })).toBeNull();
+  expect(activeCaseloads({ ...params, clusterSizeMethod: "cv" })).toBeNull();
+});
@@ -0,0 +1,61 @@
+// CSV export of the power curve grid
+// The file opens directly in Excel: a parameter block records every setting
+// used, followed by one row per N on the curves.
+
+import { settingsSchema, SETTINGS_VERSION } from "./settings";
+
+const curveColumns = [
+  { key: "n", label: "Total N" },
+  { key: "clusters", label: "Clusters" },
+  { key: "hamdMDE", label: "HAM-D MDE (points)" },
+  { key: "hamdBaselineMDE", label: "HAM-D MDE, sum score baseline (points)" },
+  { key: "hamdD", label: "HAM-D MDE (Cohen's d)" },
+  { key: "hamdPower", label: "HAM-D power at assumed effect" },
+  { key: "retentionMDE", label: "Retention MDE (pp)" },
+  {
+    key: "retentionTreatment",
+    label: "Detectable treatment attrition (%)",
+  },
+  { key: "retentionPower", label: "Retention power at assumed effect" },
+  { key: "iccCiWidth", label: "ICC 95% CI width" },
+  { key: "iccLowerBound", label: "ICC 95% CI lower bound" },
+];
+
+function csvCell(value) {
+  const text = typeof value === "number" ? String(value) : `${value ?? ""}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(",");
+}
+
+// Parameter block and curve rows. Values are written at full precision so
+// the file can be checked against R.
+export function powerDataCsv(powerData, settings) {
+  const rows = [
+    csvRow(["AURORA trial power calculator"]),
+    csvRow(["Exported", new Date().toISOString()]),
+    csvRow(["Settings version", SETTINGS_VERSION]),
+    "",
+    csvRow(["Parameter", "Setting", "Value", "Unit", "Description"]),
+    ...Object.entries(settingsSchema).map(([key, field]) => {
+      const option =
+        field.options && field.options.find((o) => o.value === settings[key]);
+      return csvRow([
+        field.label,
+        key,
+        option && option.label !== String(settings[key])
+          ? `${settings[key]} (${option.label})`
+          : settings[key],
+        field.unit,
+        field.description,
+      ]);
+    }),
+    "",
+    csvRow(curveColumns.map((c) => c.label)),
+    ...powerData.map((d) => csvRow(curveColumns.map((c) => d[c.key]))),
+  ];
+  // Byte order mark so Excel reads R², × etc. as UTF-8
+  return "\uFEFF" + rows.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,43 @@
+import { powerDataCsv } from "./csvExport";
+import { defaults } from "./settings";
+
+const lines = (csv) => csv.replace(/^\uFEFF/, "").split("\r\n");
+const settingLine = (csv, key) =>
+  lines(csv).find((line) => line.split(",")[1] === key);
+
+describe("powerDataCsv", () => {
+  test("starts with a byte order mark and uses CRLF line endings", () => {
+    const csv = powerDataCsv([], defaults);
+    expect(csv.startsWith("\uFEFF")).toBe(true);
+    expect(csv.endsWith("\r\n")).toBe(true);
+    expect(csv.replace(/\r\n/g, "")).not.toMatch(/[\r\n]/);
+  });
+
+  test("quotes cells containing commas, quotes or line breaks", () => {
+    const csv = powerDataCsv([], {
+      ...defaults,
+      clusterSizes: "12, 8, 15",
+      sided: 'two "tailed"\nsided',
+    });
+    expect(settingLine(csv, "clusterSizes")).toBe(
+      'Caseloads,clusterSizes,"12, 8, 15",,' +
+        '"Expected patients per clinician, scaled to the mean patients per clinician"',
+    );
+    expect(csv).toContain('"two ""tailed""\nsided"');
+    expect(settingLine(csv, "clusterSizeMethod")).toMatch(
+      /^Unequal cluster sizes,clusterSizeMethod,[^,]+,,"How the design effect .*caseloads"$/,
+    );
+  });
+
+  test("labels option values and keeps numbers at full precision", () => {
+    const csv = powerDataCsv(
+      [{ n: 400, clusters: 40, hamdMDE: 2.4516129032258065, iccCiWidth: null }],
+      defaults,
+    );
+    expect(settingLine(csv, "sided")).toMatch(/^Test,sided,two \(Two-sided\),/);
+    const rows = lines(csv);
+    const header = rows.findIndex((line) => line.startsWith("Total N,"));
+    expect(rows[header + 1]).toBe("400,40,2.4516129032258065,,,,,,,,");
+    expect(rows.slice(header + 2)).toEqual([""]);
+  });
+});
@@ -0,0 +1,277 @@
+// Normal and Student t distribution functions
+// Match R's pnorm/qnorm/pt/qt to well beyond the precision shown in the UI,
+// so the browser and the generated R code agree.
+
+// Standard normal CDF (Cody's rational Chebyshev approximation, as in R)
+export function pnorm(x) {
+  const z = Math.abs(x);
+  let p;
+  if (z < 0.66291) {
+    const a = [
+      2.2352520354606839287, 161.02823106855587881, 1067.6894854603709582,
+      18154.981253343561249, 0.065682337918207449113,
+    ];
+    const b = [
+      47.20258190468824187, 976.09855173777669322, 10260.932208618978205,
+      45507.789335026729956,
+    ];
+    const zsq = z * z;
+    let num = a[4] * zsq;
+    let den = zsq;
+    for (let i = 0; i < 3; i++) {
+      num = (num + a[i]) * zsq;
+      den = (den + b[i]) * zsq;
+    }
+    const temp = (z * (num + a[3])) / (den + b[3]);
+    return x >= 0 ? 0.5 + temp : 0.5 - temp;
+  }
+  if (z <= Math.sqrt(32)) {
+    const c = [
+      0.39894151208813466764, 8.8831497943883759412, 93.506656132177855979,
+      597.27027639480026226, 2494.5375852903726711, 6848.1904505362823326,
+      11602.651437647350124, 9842.7148383839780218, 1.0765576773720192317e-8,
+    ];
+    const d = [
+      22.266688044328115691, 235.38790178262499861, 1519.377599407554805,
+      6485.558298266760755, 18615.571640885098091, 34900.952721145977266,
+      38912.003286093271411, 19685.429676859990727,
+    ];
+    let num = c[8] * z;
+    let den = z;
+    for (let i = 0; i < 7; i++) {
+      num = (num + c[i]) * z;
+      den = (den + d[i]) * z;
+    }
+    const temp = (num + c[7]) / (den + d[7]);
+    p = temp * Math.exp(-z * z * 0.5);
+  } else {
+    const pp = [
+      0.21589853405795699, 0.1274011611602473639, 0.022235277870649807,
+      0.001421619193227893466, 2.9112874951168792e-5, 0.02307344176494017303,
+    ];
+    const q = [
+      1.28426009614491121, 0.468238212480865118, 0.0659881378689285515,
+      0.00378239633202758244, 7.29751555083966205e-5,
+    ];
+    const zsq = 1 / (z * z);
+    let num = pp[5] * zsq;
+    let den = zsq;
+    for (let i = 0; i < 4; i++) {
+      num = (num + pp[i]) * zsq;
+      den = (den + q[i]) * zsq;
+    }
+    let temp = (zsq * (num + pp[4])) / (den + q[4]);
+    temp = (0.3989422804014327 - temp) / z;
+    p = temp * Math.exp(-z * z * 0.5);
+  }
+  return x >= 0 ? 1 - p : p;
+}
+
+// Inverse standard normal CDF (Wichura's AS241, the algorithm behind R's qnorm)
+export function qnorm(p) {
+  if (!(p > 0 && p < 1)) {
+    if (p === 0) return -Infinity;
+    if (p === 1) return Infinity;
+    return NaN;
+  }
+  const q = p - 0.5;
+  if (Math.abs(q) <= 0.425) {
+    const r = 0.180625 - q * q;
+    return (
+      (q *
+        (((((((r * 2509.0809287301226727 + 33430.575583588128105) * r +
+          67265.770927008700853) *
+          r +
+          45921.953931549871457) *
+          r +
+          13731.693765509461125) *
+          r +
+          1971.5909503065514427) *
+          r +
+          133.14166789178437745) *
+          r +
+          3.387132872796366608)) /
+      (((((((r * 5226.495278852545925 + 28729.085735721942674) * r +
+        39307.89580009271061) *
+        r +
+        21213.794301586595867) *
+        r +
+        5394.1960214247511077) *
+        r +
+        687.1870074920579083) *
+        r +
+        42.313330701600911252) *
+        r +
+        1)
+    );
+  }
+  let r = q < 0 ? p : 1 - p;
+  r = Math.sqrt(-Math.log(r));
+  let val;
+  if (r <= 5) {
+    r -= 1.6;
+    val =
+      (((((((r * 7.7454501427834140764e-4 + 0.0227238449892691845833) * r +
+        0.24178072517745061177) *
+        r +
+        1.27045825245236838258) *
+        r +
+        3.64784832476320460504) *
+        r +
+        5.7694972214606914055) *
+        r +
+        4.6303378461565452959) *
+        r +
+        1.42343711074968357734) /
+      (((((((r * 1.05075007164441684324e-9 + 5.475938084995344946e-4) * r +
+        0.0151986665636164571966) *
+        r +
+        0.14810397642748007459) *
+        r +
+        0.68976733498510000455) *
+        r +
+        1.6763848301838038494) *
+        r +
+        2.05319162663775882187) *
+        r +
+        1);
+  } else {
+    r -= 5;
+    val =
+      (((((((r * 2.01033439929228813265e-7 + 2.71155556874348757815e-5) * r +
+        0.0012426609473880784386) *
+        r +
+        0.026532189526576123093) *
+        r +
+        0.29656057182850489123) *
+        r +
+        1.7848265399172913358) *
+        r +
+        5.4637849111641143699) *
+        r +
+        6.6579046435011037772) /
+      (((((((r * 2.04426310338993978564e-15 + 1.4215117583164458887e-7) * r +
+        1.8463183175100546818e-5) *
+        r +
+        7.868691311456132591e-4) *
+        r +
+        0.0148753612908506148525) *
+        r +
+        0.13692988092273580531) *
+        r +
+        0.59983220655588793769) *
+        r +
+        1);
+  }
+  return q < 0 ? -val : val;
+}
+
+// Log-gamma (Lanczos approximation)
+function lgamma(x) {
+  const g = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+    771.32342877765313, -176.61502916214059, 12.507343278686905,
+    -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+  ];
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - lgamma(1 - x);
+  }
+  x -= 1;
+  let a = g[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += g[i] / (x + i);
+  return (
+    0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a)
+  );
+}
+
+// Continued fraction for the regularized incomplete beta function
+function betacf(a, b, x) {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const del = d * c;
+    h *= del;
+    if (Math.abs(del - 1) < 1e-15) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta function I_x(a, b)
+function pbeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const bt = Math.exp(
+    lgamma(a + b) -
+      lgamma(a) -
+      lgamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x),
+  );
+  if (x < (a + 1) / (a + b + 2)) return (bt * betacf(a, b, x)) / a;
+  return 1 - (bt * betacf(b, a, 1 - x)) / b;
+}
+
+// Student t CDF with df degrees of freedom
+export function pt(x, df) {
+  if (!(df > 0)) return NaN;
+  if (df === Infinity) return pnorm(x);
+  const tail = 0.5 * pbeta(df / (df + x * x), df / 2, 0.5);
+  return x >= 0 ? 1 - tail : tail;
+}
+
+// Inverse Student t CDF (Newton iterations from the normal quantile)
+export function qt(p, df) {
+  if (!(df > 0)) return NaN;
+  if (df === Infinity || df > 1e7) return qnorm(p);
+  if (!(p > 0 && p < 1)) {
+    if (p === 0) return -Infinity;
+    if (p === 1) return Infinity;
+    return NaN;
+  }
+  if (p < 0.5) return -qt(1 - p, df);
+  if (p === 0.5) return 0;
+
+  // Bracket the root, then refine with safeguarded Newton steps
+  let lo = 0;
+  let hi = Math.max(1, qnorm(p));
+  while (pt(hi, df) < p) hi *= 2;
+  let x = Math.min(Math.max(qnorm(p), lo), hi);
+  const logNorm =
+    lgamma((df + 1) / 2) - lgamma(df / 2) - 0.5 * Math.log(df * Math.PI);
+  for (let i = 0; i < 100; i++) {
+    const f = pt(x, df) - p;
+    if (Math.abs(f) < 1e-14) break;
+    if (f > 0) hi = x;
+    else lo = x;
+    const density = Math.exp(
+      logNorm - ((df + 1) / 2) * Math.log(1 + (x * x) / df),
+    );
+    let next = x - f / density;
+    if (!(next > lo && next < hi)) next = (lo + hi) / 2;
+    if (Math.abs(next - x) < 1e-13 * Math.max(1, x)) {
+      x = next;
+      break;
+    }
+    x = next;
+  }
+  return x;
+}
@@ -0,0 +1,38 @@
+import { pnorm, pt, qnorm, qt } from "./distributions";
+
+// Reference values from R 4.3 (printed with digits = 10)
+
+test("pnorm matches R", () => {
+  expect(pnorm(0)).toBe(0.5);
+  expect(pnorm(1.96)).toBeCloseTo(0.9750021049, 9);
+  expect(pnorm(-1)).toBeCloseTo(0.1586552539, 9);
+  expect(pnorm(-5)).toBeCloseTo(2.866515719e-7, 15);
+});
+
+test("qnorm matches R", () => {
+  expect(qnorm(0.975)).toBeCloseTo(1.959963985, 9);
+  expect(qnorm(0.8)).toBeCloseTo(0.8416212336, 9);
+  expect(qnorm(0.0125)).toBeCloseTo(-2.241402728, 9);
+  expect(qnorm(pnorm(1.234))).toBeCloseTo(1.234, 9);
+});
+
+test("pt matches R", () => {
+  expect(pt(2, 5)).toBeCloseTo(0.9490302606, 9);
+  expect(pt(-1.5, 10)).toBeCloseTo(0.08225366322, 9);
+  expect(pt(1.5, Infinity)).toBe(pnorm(1.5));
+});
+
+test("qt matches R", () => {
+  expect(qt(0.975, 1)).toBeCloseTo(12.70620474, 7);
+  expect(qt(0.975, 10)).toBeCloseTo(2.228138852, 9);
+  expect(qt(0.8, 3)).toBeCloseTo(0.9784723124, 9);
+  expect(qt(0.025, 10)).toBeCloseTo(-2.228138852, 9);
+  expect(qt(0.975, Infinity)).toBe(qnorm(0.975));
+});
+
+test("pt and qt are NaN without positive degrees of freedom", () => {
+  expect(pt(1, 0)).toBeNaN();
+  expect(pt(1, NaN)).toBeNaN();
+  expect(qt(0.975, 0)).toBeNaN();
+  expect(qt(0.975, NaN)).toBeNaN();
+});
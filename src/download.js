@@ -0,0 +1,13 @@
+// Save generated content (JSON, CSV, images) as a file from the browser
+export function downloadFile(filename, contents, type) {
+  const blob =
+    contents instanceof Blob ? contents : new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
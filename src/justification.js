@@ -0,0 +1,222 @@
+// Sample size justification text for grant and protocol documents
+// Builds the HAM-D, retention and ICC validation paragraphs from the current
+// design (calcCurrentDesign), as plain text or Markdown.
+
+import { MAX_CLINICIANS } from "./powerEngine";
+import { settingsSchema } from "./settings";
+import { activeCaseloads } from "./clusterSizes";
+
+const pct = (v) => `${Math.round(v * 100)}%`;
+
+function optionLabel(key, value) {
+  const option = settingsSchema[key].options.find((o) => o.value === value);
+  return option ? option.label : String(value);
+}
+
+// Comparison of a HAM-D MDE with the 2-3 point MCID shown on the chart
+function mcidComparison(mde) {
+  if (!Number.isFinite(mde)) {
+    return "though no minimum detectable difference can be computed to compare with the 2–3 point minimal clinically important difference";
+  }
+  if (mde <= 2) {
+    return "smaller than the 2–3 point minimal clinically important difference";
+  }
+  if (mde <= 3) {
+    return "within the 2–3 point minimal clinically important difference";
+  }
+  return "larger than the 2–3 point minimal clinically important difference";
+}
+
+// How the design effect allows for unequal cluster sizes
+function clusterSizeText(params) {
+  const caseloads = activeCaseloads(params);
+  if (caseloads) {
+    return (
+      `, allowing for unequal cluster sizes from the distribution of ${caseloads.n} expected ` +
+      `clinician caseloads (coefficient of variation ${caseloads.cv.toFixed(2)})`
+    );
+  }
+  if (!(params.clusterSizeCV > 0)) return "";
+  const method = {
+    eldridge: " (Eldridge et al. design effect)",
+    vanBreukelen: " (van Breukelen et al. relative efficiency)",
+  };
+  return (
+    `, allowing for a cluster size coefficient of variation of ${params.clusterSizeCV}` +
+    (method[params.clusterSizeMethod] || "")
+  );
+}
+
+function hamdParagraph(params, design, b) {
+  const { hamd } = design;
+  const tQuantiles =
+    hamd.df === Infinity
+      ? ""
+      : Number.isNaN(hamd.df)
+        ? ", though t quantiles are undefined with fewer than two clusters in an arm"
+        : `, using t quantiles with ${hamd.df.toFixed(0)} between-cluster degrees of freedom`;
+  const testing = `${b(pct(params.power))} power at ${params.sided}-sided α = ${params.alpha} (Benjamini-Hochberg adjusted)${tQuantiles}`;
+  const designText =
+    `${b(`${design.nClinicians} clinicians × ${params.patientsPerCluster} patients`)} ` +
+    `(N = ${design.totalN}), ${params.treatmentRatio}:1 treatment:control allocation of clinicians, ` +
+    `an intracluster correlation of ${params.iccHamd}, covariate R² of ${params.r2Hamd} ` +
+    `and ${pct(params.controlAttrition)} control / ${pct(params.treatmentAttrition)} treatment attrition` +
+    clusterSizeText(params);
+  const assumptions =
+    `This assumes a HAM-D standard deviation of ${params.sigmaHamd} points, ` +
+    `${params.nFollowups} follow-up assessments (repeated-measures gain ${hamd.repeatedMeasuresGain.toFixed(2)}×, ` +
+    `${optionLabel("repeatedMeasuresModel", params.repeatedMeasuresModel).toLowerCase()}) ` +
+    `and an inverse probability of censoring weighting variance inflation of ${params.ipcwVIF}.`;
+  const measurement =
+    params.measurementModel === "sum"
+      ? ""
+      : ` Scoring with the ${optionLabel("measurementModel", params.measurementModel)} ` +
+        `reduces measurement error variance by ${hamd.varianceReduction.toFixed(1)}% ` +
+        `(the sum score MDE would be ${hamd.baselineMDE.toFixed(1)} points).`;
+  const detectable = Number.isFinite(hamd.mde)
+    ? `${b(`${hamd.mde.toFixed(1)}-point`)} difference in HAM-D (d = ${hamd.effectSize.toFixed(2)}), ${mcidComparison(hamd.mde)}`
+    : `difference in HAM-D, ${mcidComparison(hamd.mde)}`;
+
+  if (params.analysisMode === "power") {
+    return (
+      `With ${designText}, the trial has ` +
+      (Number.isFinite(design.hamdPower)
+        ? `${b(pct(design.hamdPower))} power`
+        : "undefined power") +
+      ` at ${params.sided}-sided α = ${params.alpha} (Benjamini-Hochberg adjusted)${tQuantiles} to detect ` +
+      `an assumed ${b(`${params.assumedHamdEffect}-point`)} difference in HAM-D ` +
+      `(d = ${(params.assumedHamdEffect / params.sigmaHamd).toFixed(2)}). ` +
+      `At ${pct(params.power)} power the minimum detectable difference is ` +
+      (Number.isFinite(hamd.mde)
+        ? `${hamd.mde.toFixed(1)} points (d = ${hamd.effectSize.toFixed(2)}). `
+        : "undefined. ") +
+      assumptions +
+      measurement
+    );
+  }
+  if (params.analysisMode === "sampleSize") {
+    const target = `${params.targetMde} ${params.targetMdeUnit === "d" ? "SD (Cohen's d)" : "HAM-D points"}`;
+    if (!design.solved) {
+      return (
+        `A target minimum detectable difference of ${target} cannot be reached ` +
+        `with up to ${MAX_CLINICIANS} clinicians under these assumptions. With ${designText}, ` +
+        `the trial has ${testing} to detect a ${detectable}. ` +
+        assumptions +
+        measurement
+      );
+    }
+    return (
+      `To detect a HAM-D difference of ${target} with ${testing}, ` +
+      `the trial requires ${b(`${design.nClinicians} clinicians`)}. With ${designText}, ` +
+      `the trial can detect a ${detectable}. ` +
+      assumptions +
+      measurement
+    );
+  }
+  return (
+    `With ${designText}, the trial has ${testing} to detect a ${detectable}. ` +
+    assumptions +
+    measurement
+  );
+}
+
+function retentionParagraph(params, design, b) {
+  const { retention } = design;
+  if (params.retentionModel === "hazardRatio") {
+    return hazardRatioParagraph(params, design, b);
+  }
+  const assumptions =
+    `assuming an intracluster correlation of ${params.iccRetention}, covariate R² of ${params.r2Retention} ` +
+    `and a ${params.survivalEfficiency}× efficiency gain from survival analysis over a binary endpoint ` +
+    `(binary endpoint MDE ${retention.binaryMDE.toFixed(1)} percentage points)`;
+
+  if (params.analysisMode === "power") {
+    return (
+      `For retention, the same design has ${b(pct(design.retentionPower))} power to detect ` +
+      `an assumed ${b(`${params.assumedRetentionEffect} percentage point`)} reduction in attrition ` +
+      `from the ${pct(params.controlAttrition)} expected in the control arm, ${assumptions}. ` +
+      `At ${pct(params.power)} power the minimum detectable reduction is ` +
+      `${retention.mde.toFixed(1)} percentage points.`
+    );
+  }
+  return (
+    `For retention, the same design has ${b(pct(params.power))} power to detect a ` +
+    `${b(`${retention.mde.toFixed(1)} percentage point`)} reduction in attrition ` +
+    `(${pct(params.controlAttrition)} in the control arm vs ${retention.treatmentRate.toFixed(1)}% in the treatment arm), ` +
+    `${assumptions}.`
+  );
+}
+
+// Retention powered on the hazard ratio for dropout (Schoenfeld)
+function hazardRatioParagraph(params, design, b) {
+  const { retention } = design;
+  const events =
+    `over ${params.followUpMonths} months of follow-up the design is expected to observe ` +
+    `${Math.round(retention.expectedEvents)} dropout events ` +
+    `(${pct(params.controlAttrition)} control / ${pct(params.treatmentAttrition)} treatment attrition ` +
+    `over ${params.attritionMonths} months, assuming exponential dropout)`;
+  const method =
+    `Required events follow Schoenfeld's formula for a log-rank test with ` +
+    `${params.treatmentRatio}:1 allocation, inflated by a design effect of ${retention.designEffect.toFixed(2)} ` +
+    `for an intracluster correlation of ${params.iccRetention}.`;
+  const assumed =
+    `Detecting the assumed ${params.assumedRetentionEffect} percentage point reduction ` +
+    `(hazard ratio ${retention.assumedHazardRatio.toFixed(2)}) requires ` +
+    `${b(`${Math.ceil(retention.requiredEvents)} events`)}`;
+
+  if (params.analysisMode === "power") {
+    return (
+      `For retention, analysed as time to dropout, ${events}, giving ` +
+      `${b(pct(design.retentionPower))} power for the assumed ` +
+      `${params.assumedRetentionEffect} percentage point reduction ` +
+      `(hazard ratio ${retention.assumedHazardRatio.toFixed(2)}); ${Math.ceil(retention.requiredEvents)} events ` +
+      `would give ${pct(params.power)} power. ${method}`
+    );
+  }
+  return (
+    `For retention, analysed as time to dropout, ${events}. These give ` +
+    `${b(pct(params.power))} power to detect a hazard ratio of ${b(retention.hazardRatio.toFixed(2))} ` +
+    `(control attrition ${pct(params.controlAttrition)} vs ${retention.treatmentRate.toFixed(1)}% in the treatment arm). ` +
+    `${assumed}. ${method}`
+  );
+}
+
+function iccParagraph(params, design, b) {
+  const { icc } = design;
+  return (
+    `To validate AURORA-clinician agreement in the treatment arm, ` +
+    `${icc.nTreatmentPatients} completers across ${icc.nTreatmentClusters} clinicians ` +
+    `with ${params.nFollowups} assessments each provide ${icc.nObservations} paired ratings ` +
+    `(${icc.nEffective} effective after allowing for a within-clinician correlation of ${params.iccClusterCorr}). ` +
+    `With an expected intraclass correlation of ${params.expectedIcc}, the 95% confidence interval ` +
+    `would be ${b(`±${icc.ciHalfWidth.toFixed(3)}`)} (${icc.lowerBound.toFixed(3)}–${icc.upperBound.toFixed(3)}), ` +
+    `which ${icc.canRuleOutPoor ? "would" : "would not"} rule out agreement below the ` +
+    `${params.targetIcc} threshold for good reliability.`
+  );
+}
+
+// Justification paragraphs as { title, text }. Markdown bolds the key
+// figures; plain text leaves them unmarked.
+export function justificationParagraphs(params, design, format = "plain") {
+  const b = format === "markdown" ? (text) => `**${text}**` : (text) => text;
+  return [
+    {
+      title: "Depression severity (HAM-D)",
+      text: hamdParagraph(params, design, b),
+    },
+    { title: "Retention", text: retentionParagraph(params, design, b) },
+    {
+      title: "Rater agreement (ICC validation)",
+      text: iccParagraph(params, design, b),
+    },
+  ];
+}
+
+// The paragraphs as one document, with headings in the chosen format
+export function justificationText(params, design, format = "plain") {
+  return justificationParagraphs(params, design, format)
+    .map(({ title, text }) =>
+      format === "markdown" ? `### ${title}\n\n${text}` : `${title}\n${text}`,
+    )
+    .join("\n\n");
+}
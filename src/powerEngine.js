@@ -0,0 +1,582 @@
+// AURORA power engine
+// Pure calculation functions shared by the UI, scripts and tests. Every
+// function takes an explicit parameter object with the same keys as the
+// calculator settings (power, alpha, iccHamd, patientsPerCluster, ...).
+
+import { pnorm, pt, qnorm, qt } from "./distributions";
+import { activeCaseloads, parseClusterSizes } from "./clusterSizes";
+
+// Z-scores
+export function zAlpha(alpha, sided = "two") {
+  // One- or two-tailed critical value for alpha
+  return qnorm(1 - (sided === "one" ? alpha : alpha / 2));
+}
+
+export function zBeta(power) {
+  return qnorm(power);
+}
+
+// Critical value for alpha with df degrees of freedom (normal if infinite)
+export function tAlpha(alpha, sided = "two", df = Infinity) {
+  return qt(1 - (sided === "one" ? alpha : alpha / 2), df);
+}
+
+// Power to detect a true effect given its standard error, with a t
+// approximation when the test has df degrees of freedom
+export function calcPower(effect, se, params, df = Infinity) {
+  const z = Math.abs(effect) / se;
+  if (df !== Infinity) {
+    const crit = tAlpha(params.alpha, params.sided, df);
+    const lowerTail = params.sided === "one" ? 0 : pt(-z - crit, df);
+    return pt(z - crit, df) + lowerTail;
+  }
+  const crit = zAlpha(params.alpha, params.sided);
+  // Two-sided tests can also reject in the wrong direction
+  const lowerTail = params.sided === "one" ? 0 : pnorm(-z - crit);
+  return pnorm(z - crit) + lowerTail;
+}
+
+// Below this many clusters in an arm the normal approximation understates
+// the HAM-D MDE, and a small-sample correction is advised
+export const MIN_ARM_CLUSTERS = 20;
+
+// Split a total N into treatment and control clusters
+export function allocateClusters(totalN, params) {
+  const { patientsPerCluster, treatmentRatio } = params;
+  const nClusters = Math.round(totalN / patientsPerCluster);
+  const treatmentProportion = treatmentRatio / (treatmentRatio + 1);
+  const nTreatmentClusters = Math.round(nClusters * treatmentProportion);
+  const nControlClusters = nClusters - nTreatmentClusters;
+  return { nClusters, nTreatmentClusters, nControlClusters };
+}
+
+// Design effect for clusters of the given sizes, analysed with
+// cluster-size weights: total patients over the effective number,
+//   DE = Σm / Σ m / (1 + (m − 1)ρ)
+export function designEffectFromSizes(sizes, icc) {
+  const total = sizes.reduce((sum, m) => sum + m, 0);
+  const effective = sizes.reduce((sum, m) => sum + m / (1 + (m - 1) * icc), 0);
+  return total / effective;
+}
+
+// Design effect for clustering with mean cluster size m, allowing for
+// unequal cluster sizes as chosen by clusterSizeMethod:
+//   cv:           (1 + (m − 1)ρ)(1 + CV²), a conservative shortcut
+//   eldridge:     1 + ((CV² + 1)m − 1)ρ (Eldridge et al. 2006)
+//   vanBreukelen: (1 + (m − 1)ρ) / RE with RE = 1 − CV²λ(1 − λ) and
+//                 λ = mρ / (mρ + 1 − ρ) (van Breukelen et al. 2007)
+//   caseloads:    the clusterSizes distribution, scaled to mean m
+// Caseloads need at least two values; otherwise the cv formula is used.
+export function clusterDesignEffect(m, icc, params) {
+  const { clusterSizeCV: cv, clusterSizeMethod } = params;
+  const equalSizes = 1 + (m - 1) * icc;
+  if (clusterSizeMethod === "eldridge") {
+    return 1 + ((cv * cv + 1) * m - 1) * icc;
+  }
+  if (clusterSizeMethod === "vanBreukelen") {
+    const lambda = (m * icc) / (m * icc + 1 - icc);
+    return equalSizes / (1 - cv * cv * lambda * (1 - lambda));
+  }
+  const caseloads = activeCaseloads(params);
+  if (caseloads) {
+    return designEffectFromSizes(
+      parseClusterSizes(params.clusterSizes).map(
+        (size) => (size * m) / caseloads.mean,
+      ),
+      icc,
+    );
+  }
+  return equalSizes * (1 + cv * cv);
+}
+
+// Calculate measurement model variance adjustment
+export function measurementVarianceMultiplier(params) {
+  const {
+    measurementModel,
+    sumScoreReliability,
+    raschReliability,
+    raterVarianceProp,
+  } = params;
+  const useRasch = measurementModel === "rasch" || measurementModel === "mfrm";
+  const useMFRM = measurementModel === "mfrm";
+
+  // Baseline: sum score with its error variance
+  // Error variance = (1 - reliability) * total variance
+
+  let multiplier = 1.0;
+
+  if (useRasch) {
+    // Rasch reduces error variance
+    // Relative error: (1 - raschRel) / (1 - sumScoreRel)
+    const sumScoreError = 1 - sumScoreReliability;
+    const raschError = 1 - raschReliability;
+    const errorReduction = (sumScoreError - raschError) / sumScoreError;
+
+    // This removes errorReduction proportion of the error variance
+    // Error is (1-rel) of total, so net reduction = errorReduction * (1-sumScoreRel)
+    multiplier *= 1 - errorReduction * sumScoreError;
+  }
+
+  if (useMFRM) {
+    // MFRM removes rater variance entirely
+    multiplier *= 1 - raterVarianceProp;
+  }
+
+  return multiplier;
+}
+
+// Repeated measures efficiency: variance of a single post-baseline HAM-D
+// relative to the mean of nFollowups assessments with within-person
+// correlation rho (baseline enters the ANCOVA through r2Hamd).
+//   Compound symmetry: Var(mean) = σ²[1 + (k−1)ρ]/k  → gain = k / [1 + (k−1)ρ]
+//   AR(1):             Var(mean) = σ² Σᵢⱼ ρ^|i−j| / k² → gain = k² / Σᵢⱼ ρ^|i−j|
+// "fixed" uses the repeatedMeasuresGain setting as given.
+export function calcRepeatedMeasuresGain(params) {
+  const {
+    repeatedMeasuresModel,
+    nFollowups: k,
+    withinCorrelation: rho,
+  } = params;
+  if (repeatedMeasuresModel === "cs") {
+    return k / (1 + (k - 1) * rho);
+  }
+  if (repeatedMeasuresModel === "ar1") {
+    let sum = 0;
+    for (let i = 0; i < k; i++) {
+      for (let j = 0; j < k; j++) {
+        sum += Math.pow(rho, Math.abs(i - j));
+      }
+    }
+    return (k * k) / sum;
+  }
+  return params.repeatedMeasuresGain;
+}
+
+// Calculate MDE for HAM-D given total N
+export function calcHamdMDE(totalN, params) {
+  const {
+    patientsPerCluster,
+    controlAttrition,
+    treatmentAttrition,
+    r2Hamd,
+    iccHamd,
+    sigmaHamd,
+    ipcwVIF,
+  } = params;
+  const { nClusters, nTreatmentClusters, nControlClusters } = allocateClusters(
+    totalN,
+    params,
+  );
+  const varianceMultiplier = measurementVarianceMultiplier(params);
+  const repeatedMeasuresGain = calcRepeatedMeasuresGain(params);
+
+  // Completers per arm after arm-specific attrition
+  const nTreatmentPatients =
+    nTreatmentClusters * patientsPerCluster * (1 - treatmentAttrition);
+  const nControlPatients =
+    nControlClusters * patientsPerCluster * (1 - controlAttrition);
+
+  // Design effect per arm for clustering (adjusted for unequal cluster sizes),
+  // using each arm's cluster size after attrition
+  const armDesignEffect = (attrition) =>
+    clusterDesignEffect(patientsPerCluster * (1 - attrition), iccHamd, params);
+  const treatmentDesignEffect = armDesignEffect(treatmentAttrition);
+  const controlDesignEffect = armDesignEffect(controlAttrition);
+
+  // Harmonic mean of effective completers, so unequal dropout and
+  // unequal clustering in the two arms both carry through
+  const nTreatmentEffective = nTreatmentPatients / treatmentDesignEffect;
+  const nControlEffective = nControlPatients / controlDesignEffect;
+  const nHarmonic =
+    (2 * nTreatmentEffective * nControlEffective) /
+    (nTreatmentEffective + nControlEffective);
+
+  // Variance calculations
+  const sigma2 = sigmaHamd * sigmaHamd;
+  const sigma2Adj = sigma2 * (1 - r2Hamd);
+
+  // Net variance (before measurement model adjustment), inflated by the
+  // Inverse Probability of Censoring Weights VIF and deflated by the
+  // repeated measures efficiency gain
+  const baseVariance = (sigma2Adj * ipcwVIF) / repeatedMeasuresGain;
+
+  // Apply measurement model variance reduction
+  const netVariance = baseVariance * varianceMultiplier;
+
+  // Degrees of freedom for the small-sample correction: clusters − 2, or
+  // Satterthwaite's approximation from each arm's share of the variance
+  //   df = (v_tx + v_ctrl)² / (v_tx² / (k_tx − 1) + v_ctrl² / (k_ctrl − 1))
+  // An arm with fewer than two clusters leaves its variance with no
+  // degrees of freedom, so df (and the corrected MDE) is NaN.
+  const armsHaveDf = nTreatmentClusters >= 2 && nControlClusters >= 2;
+  let df = Infinity;
+  if (params.smallSampleCorrection === "clusters") {
+    df = armsHaveDf ? nClusters - 2 : NaN;
+  } else if (params.smallSampleCorrection === "satterthwaite") {
+    const vTreatment = 1 / nTreatmentEffective;
+    const vControl = 1 / nControlEffective;
+    df = armsHaveDf
+      ? (vTreatment + vControl) ** 2 /
+        (vTreatment ** 2 / (nTreatmentClusters - 1) +
+          vControl ** 2 / (nControlClusters - 1))
+      : NaN;
+  }
+  const zNormal = zAlpha(params.alpha, params.sided) + zBeta(params.power);
+  const z = tAlpha(params.alpha, params.sided, df) + qt(params.power, df);
+
+  // Also calculate baseline (no Rasch/MFRM) for comparison
+  const baselineMDE = z * Math.sqrt((2 * baseVariance) / nHarmonic);
+
+  // MDE with measurement model
+  const se = Math.sqrt((2 * netVariance) / nHarmonic);
+  const mde = z * se;
+
+  return {
+    mde: mde,
+    se: se,
+    df: df,
+    normalMDE: zNormal * se, // with normal quantiles, for comparison
+    baselineMDE: baselineMDE,
+    effectSize: mde / sigmaHamd, // Cohen's d
+    nClusters: nClusters,
+    nTreatmentClusters: nTreatmentClusters,
+    nControlClusters: nControlClusters,
+    nTreatmentCompleters: Math.round(nTreatmentPatients),
+    nControlCompleters: Math.round(nControlPatients),
+    nCompleters: Math.round(nTreatmentPatients + nControlPatients),
+    varianceReduction: (1 - varianceMultiplier) * 100,
+    repeatedMeasuresGain: repeatedMeasuresGain,
+  };
+}
+
+// Largest number of clinicians considered when solving for a target MDE
+export const MAX_CLINICIANS = 5000;
+
+// Smallest number of clinicians whose design reaches a target HAM-D MDE.
+// unit is "points" (HAM-D points) or "d" (Cohen's d). Cluster allocation is
+// rounded inside calcHamdMDE, so the MDE is not strictly monotone in N and
+// the search steps through every clinician count rather than bisecting.
+export function solveCliniciansForMDE(target, params, unit = "points") {
+  for (let nClinicians = 2; nClinicians <= MAX_CLINICIANS; nClinicians++) {
+    const totalN = nClinicians * params.patientsPerCluster;
+    const hamd = calcHamdMDE(totalN, params);
+    const achieved = unit === "d" ? hamd.effectSize : hamd.mde;
+    if (achieved <= target) {
+      return { nClinicians, totalN, hamd };
+    }
+  }
+  return null;
+}
+
+// Calculate MDE for retention given total N
+export function calcRetentionMDE(totalN, params) {
+  if (params.retentionModel === "hazardRatio") {
+    return calcRetentionHazardMDE(totalN, params);
+  }
+  const {
+    patientsPerCluster,
+    controlAttrition,
+    treatmentAttrition,
+    r2Retention,
+    iccRetention,
+    survivalEfficiency,
+  } = params;
+  const { nClusters, nTreatmentClusters, nControlClusters } = allocateClusters(
+    totalN,
+    params,
+  );
+  const z = zAlpha(params.alpha, params.sided) + zBeta(params.power);
+
+  const nTreatment = nTreatmentClusters * patientsPerCluster;
+  const nControl = nControlClusters * patientsPerCluster;
+
+  // Design effect for clustering (adjusted for unequal cluster sizes)
+  const designEffect = clusterDesignEffect(
+    patientsPerCluster,
+    iccRetention,
+    params,
+  );
+
+  const p0 = controlAttrition;
+  const p1 = treatmentAttrition;
+
+  // Step 1: Base SE for proportion difference (unpooled, arm-specific rates)
+  const baseSE = Math.sqrt(
+    (p1 * (1 - p1)) / nTreatment + (p0 * (1 - p0)) / nControl,
+  );
+
+  // Step 2: Clustering inflates variance
+  const clusteredSE = baseSE * Math.sqrt(designEffect);
+
+  // Step 3: Covariate adjustment reduces variance
+  const adjustedSE = clusteredSE * Math.sqrt(1 - r2Retention);
+
+  // Step 4: Survival analysis efficiency gain (vs binary endpoint)
+  // Range: 2x (conservative) to 5x (optimistic with continuous monitoring)
+  const survivalSE = adjustedSE / Math.sqrt(survivalEfficiency);
+
+  const mde = z * survivalSE;
+
+  return {
+    mde: mde * 100, // percentage points
+    se: survivalSE,
+    controlRate: p0 * 100,
+    treatmentRate: (p0 - mde) * 100,
+    expectedTreatmentRate: p1 * 100,
+    nClusters: nClusters,
+    binaryMDE: z * adjustedSE * 100, // for comparison
+  };
+}
+
+// Hazard ratio for dropout equivalent to reducing attrition by effect
+// percentage points, with exponential dropout over the attrition period.
+// NaN when the effect leaves no dropout on treatment (a hazard ratio of 0,
+// which no number of events is needed to detect).
+export function retentionHazardRatio(effect, params) {
+  const p0 = params.controlAttrition;
+  const p1 = p0 - effect / 100;
+  if (!(p1 > 0 && p0 < 1)) return NaN;
+  return Math.log(1 - p1) / Math.log(1 - p0);
+}
+
+// Retention as time to dropout, powered on the hazard ratio (Schoenfeld).
+// Dropout is exponential, with each arm's attrition reached at
+// attritionMonths; events are counted over followUpMonths. With a share π
+// of patients on treatment, D events detect a log hazard ratio of
+//   |log HR| = (zα + zβ) × √(DE / (π(1 − π) D))
+// where DE is the clustering design effect of the binary analysis.
+export function calcRetentionHazardMDE(totalN, params) {
+  const {
+    patientsPerCluster,
+    controlAttrition,
+    treatmentAttrition,
+    iccRetention,
+    attritionMonths,
+    followUpMonths,
+  } = params;
+  const { nClusters, nTreatmentClusters, nControlClusters } = allocateClusters(
+    totalN,
+    params,
+  );
+  const z = zAlpha(params.alpha, params.sided) + zBeta(params.power);
+
+  const nTreatment = nTreatmentClusters * patientsPerCluster;
+  const nControl = nControlClusters * patientsPerCluster;
+  const treatmentShare = nTreatment / (nTreatment + nControl);
+  const allocation = treatmentShare * (1 - treatmentShare);
+
+  const designEffect = clusterDesignEffect(
+    patientsPerCluster,
+    iccRetention,
+    params,
+  );
+
+  // Expected dropouts over follow-up at the expected attrition rates
+  const eventProbability = (attrition) =>
+    1 - Math.pow(1 - attrition, followUpMonths / attritionMonths);
+  const expectedEvents =
+    nTreatment * eventProbability(treatmentAttrition) +
+    nControl * eventProbability(controlAttrition);
+
+  const logHrSE = Math.sqrt(designEffect / (allocation * expectedEvents));
+  const hazardRatio = Math.exp(-z * logHrSE);
+
+  // Treatment attrition over the attrition period at that hazard ratio
+  const treatmentRate = 1 - Math.pow(1 - controlAttrition, hazardRatio);
+
+  // Events needed to detect the assumed retention effect (NaN if it leaves
+  // no dropout on treatment)
+  const assumedHazardRatio = retentionHazardRatio(
+    params.assumedRetentionEffect,
+    params,
+  );
+  const requiredEvents =
+    (z * z * designEffect) /
+    (allocation * Math.pow(Math.log(assumedHazardRatio), 2));
+
+  return {
+    mde: (controlAttrition - treatmentRate) * 100,
+    se: logHrSE, // on the log hazard ratio scale
+    controlRate: controlAttrition * 100,
+    treatmentRate: treatmentRate * 100,
+    expectedTreatmentRate: treatmentAttrition * 100,
+    nClusters: nClusters,
+    binaryMDE: calcRetentionMDE(totalN, {
+      ...params,
+      retentionModel: "difference",
+      survivalEfficiency: 1,
+    }).binaryMDE,
+    hazardRatio: hazardRatio,
+    designEffect: designEffect,
+    expectedEvents: expectedEvents,
+    assumedHazardRatio: assumedHazardRatio,
+    requiredEvents: requiredEvents,
+  };
+}
+
+// Power to detect an assumed retention difference (percentage points)
+// given the calcRetentionMDE result at the same N
+export function retentionPowerFor(effect, retention, params) {
+  if (params.retentionModel === "hazardRatio") {
+    return calcPower(
+      Math.log(retentionHazardRatio(effect, params)),
+      retention.se,
+      params,
+    );
+  }
+  return calcPower(effect / 100, retention.se, params);
+}
+
+// Power to detect an assumed HAM-D difference (points) at total N
+export function calcHamdPower(effect, totalN, params) {
+  const hamd = calcHamdMDE(totalN, params);
+  return calcPower(effect, hamd.se, params, hamd.df);
+}
+
+// Power to detect an assumed retention difference (percentage points) at total N
+export function calcRetentionPower(effect, totalN, params) {
+  return retentionPowerFor(effect, calcRetentionMDE(totalN, params), params);
+}
+
+// Calculate ICC validation precision (treatment arm only)
+// Tests whether AI-clinician agreement exceeds threshold for good reliability (ICC>0.75)
+export function calcIccValidation(totalN, params) {
+  const {
+    patientsPerCluster,
+    treatmentAttrition,
+    nFollowups,
+    iccClusterCorr,
+    expectedIcc,
+    targetIcc,
+  } = params;
+  const { nTreatmentClusters } = allocateClusters(totalN, params);
+
+  // Treatment arm patients after attrition
+  const nTreatmentPatients =
+    nTreatmentClusters * patientsPerCluster * (1 - treatmentAttrition);
+
+  // Total observations = patients × follow-up assessments
+  const nObservations = nTreatmentPatients * nFollowups;
+
+  // Design effect for clustering in ICC estimation
+  const avgObsPerCluster = nObservations / nTreatmentClusters;
+  const designEffect = 1 + (avgObsPerCluster - 1) * iccClusterCorr;
+
+  // Effective sample size
+  const nEffective = nObservations / designEffect;
+
+  // Standard error of ICC estimate using Fisher's z transformation
+  // SE(z) ≈ 1/sqrt(n-3), then convert back to ICC scale
+  // For ICC, SE ≈ (1-ICC²) * sqrt(2/(n-1)) approximately
+  const seIcc =
+    (1 - expectedIcc * expectedIcc) * Math.sqrt(2 / (nEffective - 1));
+
+  // 95% CI half-width
+  const ciHalfWidth = 1.96 * seIcc;
+
+  // Lower bound of 95% CI
+  const lowerBound = expectedIcc - ciHalfWidth;
+
+  // Can we rule out ICC < 0.75?
+  const canRuleOutPoor = lowerBound > targetIcc;
+
+  return {
+    nTreatmentPatients: Math.round(nTreatmentPatients),
+    nTreatmentClusters: nTreatmentClusters,
+    nObservations: Math.round(nObservations),
+    nEffective: Math.round(nEffective),
+    seIcc: seIcc,
+    ciHalfWidth: ciHalfWidth,
+    lowerBound: lowerBound,
+    upperBound: expectedIcc + ciHalfWidth,
+    canRuleOutPoor: canRuleOutPoor,
+  };
+}
+
+// The design shown in the summary cards: the chosen number of clinicians, or
+// in sample size mode the clinicians needed for the target MDE
+export function calcCurrentDesign(params) {
+  const solved =
+    params.analysisMode === "sampleSize"
+      ? solveCliniciansForMDE(params.targetMde, params, params.targetMdeUnit)
+      : null;
+  const nClinicians = solved ? solved.nClinicians : params.nClinicians;
+  const totalN = nClinicians * params.patientsPerCluster;
+  return {
+    solved,
+    nClinicians,
+    totalN,
+    hamd: calcHamdMDE(totalN, params),
+    retention: calcRetentionMDE(totalN, params),
+    icc: calcIccValidation(totalN, params),
+    hamdPower: calcHamdPower(params.assumedHamdEffect, totalN, params),
+    retentionPower: calcRetentionPower(
+      params.assumedRetentionEffect,
+      totalN,
+      params,
+    ),
+  };
+}
+
+// Total N values from nMin to nMax (inclusive) in steps of nStep
+export function nGrid(params, step = params.nStep) {
+  const { nMin, nMax } = params;
+  const grid = [];
+  for (let n = nMin; n <= nMax; n += step) {
+    grid.push(n);
+  }
+  return grid;
+}
+
+// Total N values for the sample size table: the range at the given step
+// (in patients, or in whole clinicians when unit is "clinicians") with the
+// current design inserted so it always has a row
+export function sampleSizeRows(params, currentN, unit = "patients") {
+  const { nMin, nMax, nStep, patientsPerCluster } = params;
+  let rows;
+  if (unit === "clinicians") {
+    const step = Math.max(1, Math.round((nStep * 2) / patientsPerCluster));
+    rows = [];
+    for (
+      let c = Math.ceil(nMin / patientsPerCluster);
+      c * patientsPerCluster <= nMax;
+      c += step
+    ) {
+      rows.push(c * patientsPerCluster);
+    }
+  } else {
+    rows = nGrid(params, nStep * 2);
+  }
+  if (!rows.includes(currentN)) {
+    rows.push(currentN);
+  }
+  return rows.sort((a, b) => a - b);
+}
+
+// Generate data for curves
+export function calcPowerData(params) {
+  const data = [];
+  for (const n of nGrid(params)) {
+    const hamd = calcHamdMDE(n, params);
+    const retention = calcRetentionMDE(n, params);
+    const iccVal = calcIccValidation(n, params);
+    data.push({
+      n: n,
+      clusters: hamd.nClusters,
+      hamdMDE: hamd.mde,
+      hamdBaselineMDE: hamd.baselineMDE,
+      hamdD: hamd.effectSize,
+      hamdPower: calcPower(params.assumedHamdEffect, hamd.se, params, hamd.df),
+      retentionMDE: retention.mde,
+      retentionPower: retentionPowerFor(
+        params.assumedRetentionEffect,
+        retention,
+        params,
+      ),
+      retentionTreatment: retention.treatmentRate,
+      iccCiWidth: iccVal.ciHalfWidth * 2, // full CI width
+      iccLowerBound: iccVal.lowerBound,
+    });
+  }
+  return data;
+}
@@ -0,0 +1,135 @@
+import {
+  calcHamdMDE,
+  calcRetentionMDE,
+  designEffectFromSizes,
+  retentionHazardRatio,
+  retentionPowerFor,
+  solveCliniciansForMDE,
+} from "./powerEngine";
+import { defaults } from "./settings";
+
+// Default design: 100 clinicians × 10 patients, 3:1 allocation.
+// Reference values from calc_hamd_mde / calc_retention_mde in the
+// generated R code at the same settings.
+const totalN = defaults.nClinicians * defaults.patientsPerCluster;
+
+describe("calcHamdMDE at the default settings", () => {
+  const hamd = calcHamdMDE(totalN, defaults);
+
+  test("allocates clusters 3:1", () => {
+    expect(hamd.nClusters).toBe(100);
+    expect(hamd.nTreatmentClusters).toBe(75);
+    expect(hamd.nControlClusters).toBe(25);
+    expect(hamd.nCompleters).toBe(700);
+  });
+
+  test("matches R", () => {
+    expect(hamd.mde).toBeCloseTo(1.550002676, 6);
+    expect(hamd.se).toBeCloseTo(0.5027540154, 6);
+    expect(hamd.effectSize).toBeCloseTo(1.550002676 / defaults.sigmaHamd, 6);
+  });
+
+  test("uses normal quantiles without a small-sample correction", () => {
+    expect(hamd.df).toBe(Infinity);
+    expect(hamd.normalMDE).toBe(hamd.mde);
+  });
+});
+
+describe("calcRetentionMDE at the default settings", () => {
+  const retention = calcRetentionMDE(totalN, defaults);
+
+  test("matches R", () => {
+    expect(retention.mde).toBeCloseTo(6.05482673, 6);
+    expect(retention.se).toBeCloseTo(0.01963924642, 8);
+    expect(retention.binaryMDE).toBeCloseTo(12.10965346, 6);
+    expect(retention.controlRate).toBe(30);
+    expect(retention.treatmentRate).toBeCloseTo(30 - 6.05482673, 6);
+  });
+});
+
+describe("designEffectFromSizes", () => {
+  test("reduces to 1 + (m − 1)ρ for equal cluster sizes", () => {
+    for (const [m, icc] of [
+      [10, 0.05],
+      [7, 0.2],
+      [25, 0.01],
+    ]) {
+      expect(designEffectFromSizes(Array(12).fill(m), icc)).toBeCloseTo(
+        1 + (m - 1) * icc,
+        12,
+      );
+    }
+  });
+
+  test("is larger for unequal sizes with the same mean", () => {
+    expect(designEffectFromSizes([5, 15, 5, 15], 0.05)).toBeGreaterThan(1.45);
+  });
+});
+
+describe("solveCliniciansForMDE", () => {
+  test("finds the smallest design reaching the target", () => {
+    const solved = solveCliniciansForMDE(2, defaults);
+    expect(solved.hamd.mde).toBeLessThanOrEqual(2);
+    const fewer = (solved.nClinicians - 1) * defaults.patientsPerCluster;
+    expect(calcHamdMDE(fewer, defaults).mde).toBeGreaterThan(2);
+  });
+
+  test("returns null when the target cannot be reached", () => {
+    expect(solveCliniciansForMDE(0.01, defaults)).toBeNull();
+    expect(solveCliniciansForMDE(0.001, defaults, "d")).toBeNull();
+  });
+});
+
+describe("hazard ratio retention model", () => {
+  const params = { ...defaults, retentionModel: "hazardRatio" };
+
+  test("converts an attrition reduction to a hazard ratio", () => {
+    expect(retentionHazardRatio(10, params)).toBeCloseTo(
+      Math.log(0.8) / Math.log(0.7),
+      12,
+    );
+  });
+
+  test("gives no hazard ratio when the effect removes all dropout", () => {
+    expect(retentionHazardRatio(30, params)).toBeNaN();
+    expect(retentionHazardRatio(40, params)).toBeNaN();
+    const retention = calcRetentionMDE(totalN, {
+      ...params,
+      assumedRetentionEffect: 30,
+    });
+    expect(retention.requiredEvents).toBeNaN();
+    expect(retentionPowerFor(30, retention, params)).toBeNaN();
+  });
+});
+
+describe("small-sample correction", () => {
+  // 8 clinicians at 3:1: 6 treatment, 2 control
+  const n = 8 * defaults.patientsPerCluster;
+
+  test("uses clusters − 2 or Satterthwaite degrees of freedom", () => {
+    const clusters = calcHamdMDE(n, {
+      ...defaults,
+      smallSampleCorrection: "clusters",
+    });
+    expect(clusters.df).toBe(6);
+    expect(clusters.mde).toBeGreaterThan(clusters.normalMDE);
+    const satterthwaite = calcHamdMDE(n, {
+      ...defaults,
+      smallSampleCorrection: "satterthwaite",
+    });
+    expect(satterthwaite.df).toBeGreaterThanOrEqual(1);
+    expect(satterthwaite.df).toBeLessThan(6);
+  });
+
+  test("has no degrees of freedom with a single cluster in an arm", () => {
+    // 4 clinicians at 3:1: 3 treatment, 1 control
+    const single = 4 * defaults.patientsPerCluster;
+    for (const smallSampleCorrection of ["clusters", "satterthwaite"]) {
+      const hamd = calcHamdMDE(single, { ...defaults, smallSampleCorrection });
+      expect(hamd.nControlClusters).toBe(1);
+      expect(hamd.df).toBeNaN();
+      expect(hamd.mde).toBeNaN();
+      expect(Number.isFinite(hamd.normalMDE)).toBe(true);
+    }
+  });
+});
@@ -0,0 +1,534 @@
+// R verification script
+// Builds the R code shown in the "R Code for Verification" panel and run in
+// the browser with WebR, and compares R's results with the JS engine.
+
+import { parseClusterSizes } from "./clusterSizes";
+
+export function buildRScript(params, totalN) {
+  const {
+    power,
+    alpha,
+    sided,
+    iccHamd,
+    iccRetention,
+    r2Hamd,
+    r2Retention,
+    sigmaHamd,
+    ipcwVIF,
+    smallSampleCorrection,
+    repeatedMeasuresGain,
+    repeatedMeasuresModel,
+    withinCorrelation,
+    patientsPerCluster,
+    clusterSizeCV,
+    clusterSizeMethod,
+    clusterSizes,
+    controlAttrition,
+    treatmentAttrition,
+    treatmentRatio,
+    measurementModel,
+    sumScoreReliability,
+    raschReliability,
+    raterVarianceProp,
+    targetIcc,
+    expectedIcc,
+    iccClusterCorr,
+    nFollowups,
+    survivalEfficiency,
+    retentionModel,
+    attritionMonths,
+    followUpMonths,
+    assumedRetentionEffect,
+  } = params;
+
+  return `# AURORA Trial Power Calculations
+# Reproduces the minimum detectable effect (MDE) calculations
+
+# ============================================
+# Current parameter values from the calculator
+# ============================================
+
+# Trial design parameters
+total_n <- ${totalN}                        # Total sample size
+patients_per_cluster <- ${patientsPerCluster}
+cluster_size_cv <- ${clusterSizeCV}              # Coefficient of variation in cluster sizes
+cluster_size_method <- "${clusterSizeMethod}"          # "cv", "eldridge", "vanBreukelen" or "caseloads"
+cluster_sizes <- c(${(parseClusterSizes(clusterSizes) || []).join(", ")})   # Expected caseloads (used by "caseloads")
+treatment_ratio <- ${treatmentRatio}                 # Treatment:Control ratio (${treatmentRatio}:1)
+control_attrition <- ${controlAttrition}            # Expected control-arm attrition rate
+treatment_attrition <- ${treatmentAttrition}          # Expected treatment-arm attrition rate
+
+# Statistical parameters
+power <- ${power}
+alpha <- ${alpha}                      # Alpha (Benjamini-Hochberg adjusted)
+sides <- ${sided === "one" ? 1 : 2}                          # 1 = one-sided, 2 = two-sided test
+z_alpha <- qnorm(1 - alpha/sides)      # Critical z for alpha
+z_beta <- qnorm(power)                 # Z-score for power
+
+# HAM-D outcome parameters
+icc_hamd <- ${iccHamd}                   # Intracluster correlation
+r2_hamd <- ${r2Hamd}                     # Variance explained by covariates
+sigma_hamd <- ${sigmaHamd}                        # HAM-D standard deviation
+ipcw_vif <- ${ipcwVIF}                        # IPCW variance inflation factor
+small_sample_correction <- "${smallSampleCorrection}"   # "none", "clusters" (t, clusters - 2 df) or "satterthwaite"
+repeated_measures_gain <- ${repeatedMeasuresGain}          # Repeated measures gain (used when model is "fixed")
+
+# Measurement model parameters (HAM-D)
+measurement_model <- "${measurementModel}"            # "sum", "rasch" or "mfrm"
+sum_score_reliability <- ${sumScoreReliability}       # Reliability of the sum score
+rasch_reliability <- ${raschReliability}           # Reliability of the Rasch measure
+rater_variance_prop <- ${raterVarianceProp}         # Share of variance due to raters (removed by MFRM)
+
+# Retention outcome parameters
+icc_retention <- ${iccRetention}             # Intracluster correlation
+r2_retention <- ${r2Retention}              # Variance explained by covariates
+survival_efficiency <- ${survivalEfficiency}           # Efficiency gain from survival analysis
+retention_model <- "${retentionModel}"       # "difference" or "hazardRatio" (Schoenfeld)
+attrition_months <- ${attritionMonths}               # Months over which the attrition rates apply
+follow_up_months <- ${followUpMonths}               # Months of follow-up for dropout events
+assumed_retention_effect <- ${assumedRetentionEffect}       # Assumed retention difference (pp), for required events
+
+# ICC validation parameters
+target_icc <- ${targetIcc}                 # Threshold for "good" reliability
+expected_icc <- ${expectedIcc}               # Expected ICC based on preliminary data
+icc_cluster_corr <- ${iccClusterCorr}           # Intracluster correlation for ICC estimation
+n_followups <- ${nFollowups}                   # Number of follow-up assessments
+
+# ============================================
+# Repeated Measures Efficiency (HAM-D)
+# ============================================
+
+# Gain = Var(single assessment) / Var(mean of n_followups assessments)
+#   Compound symmetry: n_followups / (1 + (n_followups - 1) * within_corr)
+#   AR(1): n_followups^2 / sum(within_corr^|i - j|)
+repeated_measures_model <- "${repeatedMeasuresModel}"      # "cs", "ar1" or "fixed"
+within_corr <- ${withinCorrelation}                 # Within-person correlation
+repeated_measures_gain <- switch(repeated_measures_model,
+  cs = n_followups / (1 + (n_followups - 1) * within_corr),
+  ar1 = n_followups^2 / sum(within_corr^abs(outer(1:n_followups, 1:n_followups, "-"))),
+  repeated_measures_gain)
+
+# ============================================
+# Measurement Model Variance Adjustment (HAM-D)
+# ============================================
+
+measurement_variance_multiplier <- function() {
+  multiplier <- 1
+
+  # Rasch removes part of the sum score's error variance
+  if (measurement_model %in% c("rasch", "mfrm")) {
+    sum_score_error <- 1 - sum_score_reliability
+    rasch_error <- 1 - rasch_reliability
+    error_reduction <- (sum_score_error - rasch_error) / sum_score_error
+    multiplier <- multiplier * (1 - error_reduction * sum_score_error)
+  }
+
+  # MFRM removes rater variance entirely
+  if (measurement_model == "mfrm") {
+    multiplier <- multiplier * (1 - rater_variance_prop)
+  }
+
+  multiplier
+}
+
+# Round halves up, as the calculator's JavaScript does (R's round() rounds
+# halves to even, which would split some designs differently)
+round_half_up <- function(x) floor(x + 0.5)
+
+# ============================================
+# Design Effect for Clustering
+# ============================================
+
+# Design effect with mean cluster size m, allowing for unequal cluster sizes
+cluster_design_effect <- function(m, icc) {
+  equal_sizes <- 1 + (m - 1) * icc
+  if (cluster_size_method == "eldridge") {
+    return(1 + ((cluster_size_cv^2 + 1) * m - 1) * icc)
+  }
+  if (cluster_size_method == "vanBreukelen") {
+    lambda <- m * icc / (m * icc + 1 - icc)
+    return(equal_sizes / (1 - cluster_size_cv^2 * lambda * (1 - lambda)))
+  }
+  if (cluster_size_method == "caseloads" && length(cluster_sizes) >= 2) {
+    # Caseloads scaled to mean m, analysed with cluster-size weights
+    sizes <- cluster_sizes * m / mean(cluster_sizes)
+    return(sum(sizes) / sum(sizes / (1 + (sizes - 1) * icc)))
+  }
+  equal_sizes * (1 + cluster_size_cv^2)
+}
+
+# ============================================
+# HAM-D MDE Calculation
+# ============================================
+
+calc_hamd_mde <- function(total_n) {
+  # Calculate cluster allocation
+  n_clusters <- round_half_up(total_n / patients_per_cluster)
+  treatment_prop <- treatment_ratio / (treatment_ratio + 1)
+  n_treatment_clusters <- round_half_up(n_clusters * treatment_prop)
+  n_control_clusters <- n_clusters - n_treatment_clusters
+
+  # Completers per arm after arm-specific attrition
+  n_treatment <- n_treatment_clusters * patients_per_cluster * (1 - treatment_attrition)
+  n_control <- n_control_clusters * patients_per_cluster * (1 - control_attrition)
+
+  # Design effect per arm (adjusted for unequal cluster sizes),
+  # using each arm's cluster size after attrition
+  arm_design_effect <- function(attrition) {
+    cluster_design_effect(patients_per_cluster * (1 - attrition), icc_hamd)
+  }
+
+  # Harmonic mean of effective completers
+  n_treatment_eff <- n_treatment / arm_design_effect(treatment_attrition)
+  n_control_eff <- n_control / arm_design_effect(control_attrition)
+  n_harmonic <- (2 * n_treatment_eff * n_control_eff) / (n_treatment_eff + n_control_eff)
+
+  # Variance calculations
+  sigma2 <- sigma_hamd^2
+  sigma2_adj <- sigma2 * (1 - r2_hamd)
+
+  # Net variance after IPCW inflation and repeated measures gain
+  # (clustering is carried by the effective completers)
+  base_variance <- (sigma2_adj * ipcw_vif) / repeated_measures_gain
+
+  # Apply measurement model variance reduction
+  net_variance <- base_variance * measurement_variance_multiplier()
+
+  # Degrees of freedom for the small-sample correction (Inf = normal;
+  # NaN when an arm has under two clusters, leaving its variance no df)
+  arms_have_df <- n_treatment_clusters >= 2 && n_control_clusters >= 2
+  df <- switch(small_sample_correction,
+    clusters = if (arms_have_df) n_clusters - 2 else NaN,
+    satterthwaite = if (arms_have_df) {
+      v_treatment <- 1 / n_treatment_eff
+      v_control <- 1 / n_control_eff
+      (v_treatment + v_control)^2 /
+        (v_treatment^2 / (n_treatment_clusters - 1) +
+          v_control^2 / (n_control_clusters - 1))
+    } else NaN,
+    Inf)
+  multiplier <- qt(1 - alpha/sides, df) + qt(power, df)
+
+  # MDE with the measurement model, and the sum score baseline
+  mde <- multiplier * sqrt(2 * net_variance / n_harmonic)
+  baseline_mde <- multiplier * sqrt(2 * base_variance / n_harmonic)
+
+  return(list(
+    mde = mde,
+    df = df,
+    baseline_mde = baseline_mde,
+    effect_size = mde / sigma_hamd,  # Cohen's d
+    n_clusters = n_clusters,
+    n_completers = round_half_up(n_treatment + n_control)
+  ))
+}
+
+# ============================================
+# Retention MDE Calculation
+# ============================================
+
+calc_retention_mde <- function(total_n) {
+  # Calculate cluster allocation
+  n_clusters <- round_half_up(total_n / patients_per_cluster)
+  treatment_prop <- treatment_ratio / (treatment_ratio + 1)
+  n_treatment_clusters <- round_half_up(n_clusters * treatment_prop)
+  n_control_clusters <- n_clusters - n_treatment_clusters
+
+  n_treatment <- n_treatment_clusters * patients_per_cluster
+  n_control <- n_control_clusters * patients_per_cluster
+
+  # Design effect (adjusted for unequal cluster sizes)
+  design_effect <- cluster_design_effect(patients_per_cluster, icc_retention)
+
+  p0 <- control_attrition
+  p1 <- treatment_attrition
+
+  if (retention_model == "hazardRatio") {
+    # Schoenfeld: events needed for a log hazard ratio, inflated by the
+    # design effect, with exponential dropout over the attrition period
+    treatment_share <- n_treatment / (n_treatment + n_control)
+    event_prob <- function(p) 1 - (1 - p)^(follow_up_months / attrition_months)
+    expected_events <- n_treatment * event_prob(p1) + n_control * event_prob(p0)
+    log_hr_se <- sqrt(design_effect / (treatment_share * (1 - treatment_share) * expected_events))
+    hazard_ratio <- exp(-(z_alpha + z_beta) * log_hr_se)
+    treatment_rate <- 1 - (1 - p0)^hazard_ratio
+    # Events needed to detect the assumed retention effect (NaN if it
+    # leaves no dropout on treatment)
+    assumed_p1 <- p0 - assumed_retention_effect / 100
+    assumed_hazard_ratio <- if (assumed_p1 > 0 && p0 < 1) log(1 - assumed_p1) / log(1 - p0) else NaN
+    required_events <- (z_alpha + z_beta)^2 * design_effect /
+      (treatment_share * (1 - treatment_share) * log(assumed_hazard_ratio)^2)
+    return(list(
+      mde_pp = (p0 - treatment_rate) * 100,
+      control_rate = p0 * 100,
+      treatment_rate = treatment_rate * 100,
+      hazard_ratio = hazard_ratio,
+      expected_events = expected_events,
+      assumed_hazard_ratio = assumed_hazard_ratio,
+      required_events = required_events
+    ))
+  }
+
+  # Base SE for proportion difference (unpooled, arm-specific rates)
+  base_se <- sqrt(p1 * (1 - p1) / n_treatment + p0 * (1 - p0) / n_control)
+
+  # Apply clustering, covariate adjustment, and survival efficiency
+  clustered_se <- base_se * sqrt(design_effect)
+  adjusted_se <- clustered_se * sqrt(1 - r2_retention)
+  survival_se <- adjusted_se / sqrt(survival_efficiency)
+
+  mde <- (z_alpha + z_beta) * survival_se
+
+  return(list(
+    mde_pp = mde * 100,  # Percentage points
+    control_rate = p0 * 100,
+    treatment_rate = (p0 - mde) * 100
+  ))
+}
+
+# ============================================
+# ICC Validation Calculation (Treatment Arm)
+# ============================================
+
+calc_icc_validation <- function(total_n) {
+  n_clusters <- round_half_up(total_n / patients_per_cluster)
+  treatment_prop <- treatment_ratio / (treatment_ratio + 1)
+  n_treatment_clusters <- round_half_up(n_clusters * treatment_prop)
+
+  # Treatment arm patients after attrition
+  n_treatment_patients <- n_treatment_clusters * patients_per_cluster * (1 - treatment_attrition)
+
+  # Total observations = patients × follow-up assessments
+  n_observations <- n_treatment_patients * n_followups
+
+  # Design effect for clustering in ICC estimation
+  avg_obs_per_cluster <- n_observations / n_treatment_clusters
+  design_effect <- 1 + (avg_obs_per_cluster - 1) * icc_cluster_corr
+
+  # Effective sample size
+  n_effective <- n_observations / design_effect
+
+  # Standard error of ICC estimate
+  se_icc <- (1 - expected_icc^2) * sqrt(2 / (n_effective - 1))
+
+  # 95% CI half-width
+  ci_half_width <- 1.96 * se_icc
+
+  # Lower bound of 95% CI
+  lower_bound <- expected_icc - ci_half_width
+
+  # Can we rule out ICC < target?
+  can_rule_out_poor <- lower_bound > target_icc
+
+  return(list(
+    n_observations = round_half_up(n_observations),
+    ci_half_width = ci_half_width,
+    lower_bound = lower_bound,
+    upper_bound = expected_icc + ci_half_width,
+    can_rule_out_poor = can_rule_out_poor
+  ))
+}
+
+# ============================================
+# Run calculations
+# ============================================
+
+hamd_result <- calc_hamd_mde(total_n)
+retention_result <- calc_retention_mde(total_n)
+icc_result <- calc_icc_validation(total_n)
+
+cat(paste0("HAM-D Results (N = ", total_n, "):\\n"))
+cat(paste0("  MDE: ", round(hamd_result$mde, 2), " points\\n"))
+cat(paste0("  Baseline MDE (sum score): ", round(hamd_result$baseline_mde, 2), " points\\n"))
+cat(paste0("  Cohen's d: ", round(hamd_result$effect_size, 2), "\\n"))
+if (is.finite(hamd_result$df)) {
+  cat(paste0("  t degrees of freedom: ", round(hamd_result$df, 1), "\\n"))
+} else if (is.nan(hamd_result$df)) {
+  cat("  t degrees of freedom: undefined (an arm has fewer than two clusters)\\n")
+}
+cat(paste0("  Clusters: ", hamd_result$n_clusters, "\\n"))
+cat(paste0("  Completers: ", hamd_result$n_completers, "\\n\\n"))
+
+cat(paste0("Retention Results (N = ", total_n, "):\\n"))
+cat(paste0("  MDE: ", round(retention_result$mde_pp, 1), " percentage points\\n"))
+cat(paste0("  Treatment rate: ", round(retention_result$treatment_rate, 1), "%\\n"))
+cat(paste0("  Control rate: ", round(retention_result$control_rate, 1), "%\\n"))
+if (retention_model == "hazardRatio") {
+  cat(paste0("  Min detectable hazard ratio: ", round(retention_result$hazard_ratio, 3), "\\n"))
+  cat(paste0("  Expected dropout events: ", round(retention_result$expected_events, 1), "\\n"))
+  cat(paste0("  Assumed hazard ratio: ", round(retention_result$assumed_hazard_ratio, 3), "\\n"))
+  cat(paste0("  Events to detect it: ", round(retention_result$required_events, 1), "\\n"))
+}
+cat("\\n")
+
+cat(paste0("ICC Validation (Treatment Arm):\\n"))
+cat(paste0("  Observations: ", icc_result$n_observations, "\\n"))
+cat(paste0("  95% CI: ", round(icc_result$lower_bound, 3), " - ", round(icc_result$upper_bound, 3), "\\n"))
+cat(paste0("  CI half-width: +/-", round(icc_result$ci_half_width, 3), "\\n"))
+cat(paste0("  Can rule out ICC < ", target_icc, ": ", ifelse(icc_result$can_rule_out_poor, "Yes", "No"), "\\n"))
+
+# ============================================
+# Results for the calculator's parity check
+# ============================================
+
+verification_results <- list(
+  hamd_mde = hamd_result$mde,
+  hamd_baseline_mde = hamd_result$baseline_mde,
+  hamd_effect_size = hamd_result$effect_size,
+  n_clusters = hamd_result$n_clusters,
+  n_completers = hamd_result$n_completers,
+  retention_mde_pp = retention_result$mde_pp,
+  icc_lower_bound = icc_result$lower_bound,
+  icc_upper_bound = icc_result$upper_bound
+)
+if (retention_model == "hazardRatio") {
+  verification_results$assumed_hazard_ratio <- retention_result$assumed_hazard_ratio
+  verification_results$required_events <- retention_result$required_events
+}
+
+# Serialise a named list of numbers as JSON (base R only, no jsonlite).
+# JSON has no NaN, Inf or NA, so non-finite values are written as null.
+to_json <- function(x) {
+  values <- vapply(x, function(v) {
+    if (is.finite(v)) formatC(v, digits = 15, format = "g") else "null"
+  }, "")
+  paste0("{", paste0('"', names(x), '":', values, collapse = ","), "}")
+}
+`;
+}
+
+// Extra R code, run after buildRScript's script, that evaluates the three
+// calculations at every N on the curves and leaves them in curve_json
+export function buildRCurveScript(nValues) {
+  return `
+# ============================================
+# Power curves: every N on the calculator's charts
+# ============================================
+
+curve_n <- c(${nValues.join(", ")})
+curve_results <- lapply(curve_n, function(n) {
+  hamd <- calc_hamd_mde(n)
+  retention <- calc_retention_mde(n)
+  icc <- calc_icc_validation(n)
+  list(
+    n = n,
+    hamd_mde = hamd$mde,
+    retention_mde_pp = retention$mde_pp,
+    icc_ci_half_width = icc$ci_half_width
+  )
+})
+curve_json <- paste0("[", paste(vapply(curve_results, to_json, ""), collapse = ","), "]")
+cat(paste0("\\nCurves: evaluated ", length(curve_n), " sample sizes from ", min(curve_n), " to ", max(curve_n), "\\n"))
+`;
+}
+
+// Absolute difference between a JS figure and R's. R's JSON has null for
+// non-finite values, which match a non-finite JS value; a missing R value
+// gives NaN.
+function parityDiff(js, r) {
+  if (r === null) return Number.isFinite(js) ? NaN : 0;
+  return typeof r === "number" ? Math.abs(r - js) : NaN;
+}
+
+// Largest absolute JS-vs-R difference on each curve
+export function compareRCurve(points, powerData) {
+  const maxDiff = (jsKey, rKey, scale = 1) =>
+    Math.max(
+      ...powerData.map((d, i) =>
+        parityDiff(d[jsKey] * scale, points[i] ? points[i][rKey] : undefined),
+      ),
+    );
+  return {
+    hamdMDE: maxDiff("hamdMDE", "hamd_mde"),
+    retentionMDE: maxDiff("retentionMDE", "retention_mde_pp"),
+    iccCiHalfWidth: maxDiff("iccCiWidth", "icc_ci_half_width", 0.5),
+  };
+}
+
+// Figures compared between the JS engine and R, keyed by the names used in
+// the R script's verification_results list. The hazard ratio figures are
+// only compared in the hazard ratio retention model.
+export const verificationFigures = [
+  { key: "hamdMDE", rKey: "hamd_mde", label: "HAM-D MDE (points)", digits: 3 },
+  {
+    key: "hamdBaselineMDE",
+    rKey: "hamd_baseline_mde",
+    label: "HAM-D baseline MDE (sum score)",
+    digits: 3,
+  },
+  { key: "hamdD", rKey: "hamd_effect_size", label: "Cohen's d", digits: 3 },
+  { key: "nClusters", rKey: "n_clusters", label: "Clusters", digits: 0 },
+  { key: "nCompleters", rKey: "n_completers", label: "Completers", digits: 0 },
+  {
+    key: "retentionMDE",
+    rKey: "retention_mde_pp",
+    label: "Retention MDE (pp)",
+    digits: 3,
+  },
+  {
+    key: "iccLowerBound",
+    rKey: "icc_lower_bound",
+    label: "ICC 95% CI lower bound",
+    digits: 4,
+  },
+  {
+    key: "iccUpperBound",
+    rKey: "icc_upper_bound",
+    label: "ICC 95% CI upper bound",
+    digits: 4,
+  },
+  {
+    key: "assumedHazardRatio",
+    rKey: "assumed_hazard_ratio",
+    label: "Assumed dropout hazard ratio",
+    digits: 4,
+  },
+  {
+    key: "requiredEvents",
+    rKey: "required_events",
+    label: "Dropout events required",
+    digits: 1,
+  },
+];
+
+// JS figures for one design, in the shape compareRResults expects
+export function jsVerificationFigures(hamd, retention, icc) {
+  return {
+    hamdMDE: hamd.mde,
+    hamdBaselineMDE: hamd.baselineMDE,
+    hamdD: hamd.effectSize,
+    nClusters: hamd.nClusters,
+    nCompleters: hamd.nCompleters,
+    retentionMDE: retention.mde,
+    iccLowerBound: icc.lowerBound,
+    iccUpperBound: icc.upperBound,
+    ...(retention.requiredEvents !== undefined && {
+      assumedHazardRatio: retention.assumedHazardRatio,
+      requiredEvents: retention.requiredEvents,
+    }),
+  };
+}
+
+// Compare R's verification_results (parsed from JSON) with the JS figures.
+// A figure passes when the two agree within tolerance, relative to the
+// size of the JS value (absolute for values below 1). Figures the JS side
+// doesn't have for this design are left out.
+export function compareRResults(rResults, expected, tolerance) {
+  const figures = verificationFigures.filter(({ key }) => key in expected);
+  return figures.map(({ key, rKey, label, digits }) => {
+    const js = expected[key];
+    const r = rResults ? rResults[rKey] : undefined;
+    const diff = parityDiff(js, r);
+    return {
+      label,
+      js,
+      r,
+      diff,
+      digits,
+      pass:
+        diff === 0 ||
+        (Number.isFinite(diff) &&
+          diff <= tolerance * Math.max(1, Math.abs(js))),
+    };
+  });
+}
@@ -0,0 +1,120 @@
+import {
+  buildRScript,
+  compareRCurve,
+  compareRResults,
+  jsVerificationFigures,
+  verificationFigures,
+} from "./rCode";
+import {
+  calcHamdMDE,
+  calcIccValidation,
+  calcRetentionMDE,
+} from "./powerEngine";
+import { defaults } from "./settings";
+
+const expected = Object.fromEntries(
+  verificationFigures.map(({ key }) => [key, 1.5]),
+);
+const rResults = Object.fromEntries(
+  verificationFigures.map(({ rKey }) => [rKey, 1.5]),
+);
+
+describe("compareRResults", () => {
+  test("passes figures that agree", () => {
+    const check = compareRResults(rResults, expected, 1e-6);
+    expect(check.every((c) => c.pass)).toBe(true);
+  });
+
+  test("matches R's null against a non-finite JS value", () => {
+    const check = compareRResults(
+      { ...rResults, hamd_mde: null },
+      { ...expected, hamdMDE: Infinity },
+      1e-6,
+    );
+    expect(check[0].pass).toBe(true);
+    const nan = compareRResults(
+      { ...rResults, hamd_mde: null },
+      { ...expected, hamdMDE: NaN },
+      1e-6,
+    );
+    expect(nan[0].pass).toBe(true);
+  });
+
+  test("fails null against a finite value, and missing figures", () => {
+    const check = compareRResults(
+      { ...rResults, hamd_mde: null, n_clusters: undefined },
+      expected,
+      1e-6,
+    );
+    expect(check.find((c) => c.label === "HAM-D MDE (points)").pass).toBe(
+      false,
+    );
+    expect(check.find((c) => c.label === "Clusters").pass).toBe(false);
+  });
+});
+
+describe("hazard ratio figures", () => {
+  const figuresFor = (params) =>
+    jsVerificationFigures(
+      calcHamdMDE(1000, params),
+      calcRetentionMDE(1000, params),
+      calcIccValidation(1000, params),
+    );
+
+  test("are compared only in the hazard ratio model", () => {
+    const difference = figuresFor(defaults);
+    expect(difference).not.toHaveProperty("requiredEvents");
+    expect(compareRResults(rResults, difference, 1e-6)).toHaveLength(
+      verificationFigures.length - 2,
+    );
+
+    const hazard = figuresFor({ ...defaults, retentionModel: "hazardRatio" });
+    expect(hazard.assumedHazardRatio).toBeCloseTo(
+      Math.log(0.75) / Math.log(0.7),
+      12,
+    );
+    expect(hazard.requiredEvents).toBeGreaterThan(0);
+    const check = compareRResults(
+      {
+        ...rResults,
+        assumed_hazard_ratio: hazard.assumedHazardRatio,
+        required_events: hazard.requiredEvents,
+      },
+      hazard,
+      1e-6,
+    );
+    expect(check).toHaveLength(verificationFigures.length);
+    expect(check.slice(-2).every((c) => c.pass)).toBe(true);
+  });
+
+  test("are reported by the R script", () => {
+    const script = buildRScript(
+      { ...defaults, retentionModel: "hazardRatio" },
+      1000,
+    );
+    expect(script).toContain(
+      "verification_results$required_events <- retention_result$required_events",
+    );
+    expect(script).toContain(
+      `assumed_retention_effect <- ${defaults.assumedRetentionEffect}`,
+    );
+  });
+});
+
+test("compareRCurve treats null as non-finite", () => {
+  const powerData = [
+    { hamdMDE: Infinity, retentionMDE: 5, iccCiWidth: 0.2 },
+    { hamdMDE: 2, retentionMDE: 4, iccCiWidth: 0.1 },
+  ];
+  const points = [
+    { hamd_mde: null, retention_mde_pp: 5, icc_ci_half_width: 0.1 },
+    { hamd_mde: 2, retention_mde_pp: 4, icc_ci_half_width: 0.05 },
+  ];
+  expect(compareRCurve(points, powerData)).toEqual({
+    hamdMDE: 0,
+    retentionMDE: 0,
+    iccCiHalfWidth: 0,
+  });
+  points[1].hamd_mde = null;
+  expect(compareRCurve(points, powerData).hamdMDE).toBeNaN();
+});
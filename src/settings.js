@@ -0,0 +1,832 @@
+// Calculator settings: schema, validation and persistence
+// Every setting is described once in settingsSchema, which supplies the
+// defaults, validates saved, shared and imported values field by field (so
+// a stale or tampered value falls back to its default without discarding
+// the rest), and configures the control that edits it.
+
+import { parseClusterSizes } from "./clusterSizes";
+
+export const STORAGE_KEY = "aurora-power-calculator-settings";
+export const SCENARIOS_KEY = "aurora-power-calculator-scenarios";
+
+// Bumped when the meaning of a saved or shared setting changes
+export const SETTINGS_VERSION = 1;
+
+// Most total N values on the curves, which are computed on the main thread
+export const MAX_CURVE_POINTS = 500;
+
+const percent = (v) => `${Math.round(v * 100)}%`;
+const times = (v) => `${v}×`;
+
+// Each field has a type and default, then either options (select or radio
+// controls) or min/max/step (sliders and number inputs), with the default
+// and max on the step grid from min. integer restricts
+// numbers to whole values; validate checks other values; format gives the
+// value shown next to a label.
+export const settingsSchema = {
+  power: {
+    type: "number",
+    default: 0.8,
+    min: 0.5,
+    max: 0.99,
+    step: 0.01,
+    label: "Power",
+    description: "Probability of detecting an effect the size of the MDE",
+  },
+  alpha: {
+    type: "number",
+    default: 0.025,
+    min: 0.005,
+    max: 0.2,
+    step: 0.005,
+    label: "Alpha (Benjamini-Hochberg adjusted)",
+    description: "Significance level after multiplicity adjustment",
+  },
+  sided: {
+    type: "string",
+    default: "two",
+    options: [
+      { value: "two", label: "Two-sided" },
+      { value: "one", label: "One-sided" },
+    ],
+    label: "Test",
+    description: "Sidedness of the hypothesis test",
+  },
+  iccHamd: {
+    type: "number",
+    default: 0.04,
+    min: 0.01,
+    max: 0.1,
+    step: 0.01,
+    label: "HAM-D Intracluster Corr",
+    description: "Intracluster correlation of HAM-D outcomes within clinicians",
+  },
+  iccRetention: {
+    type: "number",
+    default: 0.05,
+    min: 0.01,
+    max: 0.1,
+    step: 0.01,
+    label: "Retention Intracluster Corr",
+    description: "Intracluster correlation of retention within clinicians",
+  },
+  r2Hamd: {
+    type: "number",
+    default: 0.35,
+    min: 0.2,
+    max: 0.5,
+    step: 0.05,
+    label: "HAM-D R²",
+    description: "Outcome variance explained by baseline covariates",
+  },
+  sigmaHamd: {
+    type: "number",
+    default: 7,
+    min: 5,
+    max: 10,
+    step: 0.5,
+    unit: "HAM-D points",
+    label: "HAM-D SD",
+    description: "Standard deviation of the HAM-D outcome",
+  },
+  ipcwVIF: {
+    type: "number",
+    default: 1.2,
+    min: 1,
+    max: 1.5,
+    step: 0.05,
+    label: "IPCW variance inflation",
+    description:
+      "Variance inflation from inverse probability of censoring weights",
+  },
+  smallSampleCorrection: {
+    type: "string",
+    default: "none",
+    options: [
+      { value: "none", label: "Normal (z)" },
+      { value: "clusters", label: "t, clusters − 2 df" },
+      { value: "satterthwaite", label: "t, Satterthwaite df" },
+    ],
+    label: "Small-sample correction",
+    description:
+      "Critical values for the HAM-D comparison: normal quantiles, or t quantiles with between-cluster degrees of freedom",
+  },
+  repeatedMeasuresGain: {
+    type: "number",
+    default: 1.43,
+    min: 1,
+    max: 2,
+    step: 0.01,
+    format: times,
+    label: "Repeated measures gain",
+    description: "Efficiency gain from repeated follow-ups (fixed model)",
+  },
+  repeatedMeasuresModel: {
+    type: "string",
+    default: "cs",
+    options: [
+      { value: "cs", label: "Compound symmetry" },
+      { value: "ar1", label: "AR(1)" },
+      { value: "fixed", label: "Fixed gain" },
+    ],
+    label: "Repeated measures",
+    description: "Within-person correlation structure across follow-ups",
+  },
+  withinCorrelation: {
+    type: "number",
+    default: 0.6,
+    min: 0.1,
+    max: 0.9,
+    step: 0.05,
+    label: "Within-person corr",
+    description: "Correlation between a patient's follow-up scores",
+  },
+  r2Retention: {
+    type: "number",
+    default: 0.05,
+    min: 0,
+    max: 0.2,
+    step: 0.01,
+    label: "Retention R²",
+    description: "Retention variance explained by baseline covariates",
+  },
+  patientsPerCluster: {
+    type: "number",
+    default: 10,
+    integer: true,
+    options: [5, 8, 10, 12, 15].map((v) => ({ value: v, label: String(v) })),
+    unit: "patients",
+    label: "Patients/Clinician",
+    description: "Patients enrolled per clinician (cluster size)",
+  },
+  nClinicians: {
+    type: "number",
+    default: 100,
+    integer: true,
+    options: [60, 80, 100, 120, 140].map((v) => ({
+      value: v,
+      label: String(v),
+    })),
+    unit: "clinicians",
+    label: "Clinicians",
+    description: "Number of clinicians (clusters) in the design",
+  },
+  clusterSizeCV: {
+    type: "number",
+    default: 0,
+    min: 0,
+    max: 1.5,
+    step: 0.05,
+    label: "Cluster Size Variation",
+    description: "Coefficient of variation of cluster sizes",
+  },
+  clusterSizeMethod: {
+    type: "string",
+    default: "cv",
+    options: [
+      { value: "cv", label: "Conservative (1 + CV²)" },
+      { value: "eldridge", label: "Eldridge" },
+      { value: "vanBreukelen", label: "van Breukelen" },
+      { value: "caseloads", label: "From caseloads" },
+    ],
+    label: "Unequal cluster sizes",
+    description:
+      "How the design effect allows for unequal cluster sizes: the (1 + CV²) multiplier, the Eldridge or van Breukelen formula, or the distribution of expected caseloads",
+  },
+  clusterSizes: {
+    type: "string",
+    default: "",
+    validate: (v) => parseClusterSizes(v) !== null,
+    label: "Caseloads",
+    description:
+      "Expected patients per clinician, scaled to the mean patients per clinician",
+  },
+  controlAttrition: {
+    type: "number",
+    default: 0.3,
+    options: [0.2, 0.25, 0.3, 0.35, 0.4].map((v) => ({
+      value: v,
+      label: percent(v),
+    })),
+    unit: "proportion",
+    label: "Control Attrition",
+    description: "Proportion of control patients lost before the endpoint",
+  },
+  treatmentAttrition: {
+    type: "number",
+    default: 0.3,
+    options: [0.1, 0.15, 0.2, 0.25, 0.3, 0.35, 0.4].map((v) => ({
+      value: v,
+      label: percent(v),
+    })),
+    unit: "proportion",
+    label: "Treatment Attrition",
+    description: "Proportion of treatment patients lost before the endpoint",
+  },
+  treatmentRatio: {
+    type: "number",
+    default: 3,
+    integer: true,
+    options: [1, 2, 3, 4].map((v) => ({ value: v, label: `${v}:1` })),
+    label: "Tx:Ctrl Ratio",
+    description: "Treatment clusters per control cluster",
+  },
+  measurementModel: {
+    type: "string",
+    default: "sum",
+    options: [
+      { value: "sum", label: "Sum score" },
+      { value: "rasch", label: "Rasch Partial Credit Model" },
+      { value: "mfrm", label: "Multi-Facet Rasch Model" },
+    ],
+    label: "Measurement model",
+    description: "How HAM-D item responses are scored",
+  },
+  sumScoreReliability: {
+    type: "number",
+    default: 0.86,
+    min: 0.8,
+    max: 0.92,
+    step: 0.01,
+    label: "Sum reliability",
+    description: "Reliability of the HAM-D sum score",
+  },
+  raschReliability: {
+    type: "number",
+    default: 0.91,
+    min: 0.85,
+    max: 0.95,
+    step: 0.01,
+    label: "Rasch rel",
+    description: "Reliability of the Rasch person measures",
+  },
+  raterVarianceProp: {
+    type: "number",
+    default: 0.07,
+    min: 0.03,
+    max: 0.15,
+    step: 0.01,
+    unit: "proportion",
+    format: percent,
+    label: "Rater var",
+    description: "Share of score variance due to raters, removed by MFRM",
+  },
+  targetIcc: {
+    type: "number",
+    default: 0.75,
+    min: 0.6,
+    max: 0.8,
+    step: 0.05,
+    label: "Target Intraclass Corr",
+    description: "Agreement threshold the CI lower bound must exceed",
+  },
+  expectedIcc: {
+    type: "number",
+    default: 0.8,
+    min: 0.7,
+    max: 0.95,
+    step: 0.01,
+    label: "Expected Intraclass Corr",
+    description: "Anticipated AURORA-clinician agreement",
+  },
+  iccClusterCorr: {
+    type: "number",
+    default: 0.03,
+    min: 0.01,
+    max: 0.1,
+    step: 0.01,
+    label: "Cluster Intracluster Corr",
+    description: "Clustering of agreement ratings within clinicians",
+  },
+  nFollowups: {
+    type: "number",
+    default: 4,
+    integer: true,
+    options: [2, 3, 4, 5, 6].map((v) => ({ value: v, label: String(v) })),
+    label: "Follow-ups",
+    description: "Post-baseline HAM-D assessments per patient",
+  },
+  survivalEfficiency: {
+    type: "number",
+    default: 4.0,
+    min: 1,
+    max: 5,
+    step: 0.5,
+    format: times,
+    label: "Survival eff",
+    description:
+      "Efficiency of time-to-event retention analysis relative to binary",
+  },
+  retentionModel: {
+    type: "string",
+    default: "difference",
+    options: [
+      { value: "difference", label: "Attrition difference (pp)" },
+      { value: "hazardRatio", label: "Hazard ratio (events)" },
+    ],
+    label: "Retention model",
+    description:
+      "Power retention on the difference in attrition, or on the hazard ratio for dropout with the Schoenfeld events formula",
+  },
+  attritionMonths: {
+    type: "number",
+    default: 12,
+    min: 1,
+    max: 60,
+    step: 1,
+    integer: true,
+    unit: "months",
+    label: "Attrition period (months)",
+    description: "Time over which the control and treatment attrition apply",
+  },
+  followUpMonths: {
+    type: "number",
+    default: 12,
+    min: 1,
+    max: 60,
+    step: 1,
+    integer: true,
+    unit: "months",
+    label: "Follow-up (months)",
+    description: "Follow-up over which dropout events are counted",
+  },
+  analysisMode: {
+    type: "string",
+    default: "mde",
+    options: [
+      { value: "mde", label: "Min detectable effect" },
+      { value: "sampleSize", label: "Required clinicians" },
+      { value: "power", label: "Achieved power" },
+    ],
+    label: "Calculate",
+    description: "What the calculator solves for",
+  },
+  targetMde: {
+    type: "number",
+    default: 2,
+    min: 0.01,
+    max: 14,
+    step: 0.01,
+    label: "Target HAM-D MDE",
+    description: "MDE to solve the number of clinicians for",
+  },
+  targetMdeUnit: {
+    type: "string",
+    default: "points",
+    options: [
+      { value: "points", label: "HAM-D points" },
+      { value: "d", label: "Cohen's d" },
+    ],
+    label: "Target unit",
+    description: "Scale of the target MDE",
+  },
+  assumedHamdEffect: {
+    type: "number",
+    default: 2.5,
+    min: 0.1,
+    max: 14,
+    step: 0.1,
+    unit: "HAM-D points",
+    label: "Assumed HAM-D effect (pts)",
+    description: "True HAM-D difference used for achieved power",
+  },
+  assumedRetentionEffect: {
+    type: "number",
+    default: 5,
+    min: 0.5,
+    max: 50,
+    step: 0.5,
+    unit: "percentage points",
+    label: "Assumed retention effect (pp)",
+    description: "True retention difference used for achieved power",
+  },
+  nMin: {
+    type: "number",
+    default: 400,
+    integer: true,
+    min: 10,
+    max: 20000,
+    unit: "patients",
+    label: "From N",
+    description: "Smallest total N on the curves",
+  },
+  nMax: {
+    type: "number",
+    default: 1300,
+    integer: true,
+    min: 10,
+    max: 20000,
+    unit: "patients",
+    label: "To N",
+    description: "Largest total N on the curves",
+  },
+  nStep: {
+    type: "number",
+    default: 50,
+    integer: true,
+    min: 1,
+    max: 20000,
+    step: 1,
+    unit: "patients",
+    label: "Step",
+    description: "Spacing of total N on the curves",
+  },
+  tableUnit: {
+    type: "string",
+    default: "patients",
+    options: [
+      { value: "patients", label: "Rows by total N" },
+      { value: "clinicians", label: "Rows by clinicians" },
+    ],
+    label: "Table rows",
+    description: "Whether sample size table rows step by N or clinicians",
+  },
+};
+
+export const defaults = Object.fromEntries(
+  Object.entries(settingsSchema).map(([key, field]) => [key, field.default]),
+);
+
+// Largest assumed retention effect (percentage points) for a control
+// attrition rate, so the treatment arm keeps some dropout and its rate and
+// hazard ratio stay positive
+export function maxRetentionEffect(controlAttrition) {
+  return (
+    Math.round(controlAttrition * 100) -
+    settingsSchema.assumedRetentionEffect.step
+  );
+}
+
+// Settings with a new number of patients per clinician. The N range moves
+// up with it if it would otherwise start below two clinicians.
+export function withPatientsPerCluster(settings, patientsPerCluster) {
+  const nMin = Math.max(settings.nMin, 2 * patientsPerCluster);
+  return {
+    ...settings,
+    patientsPerCluster,
+    nMin,
+    nMax: Math.max(settings.nMax, nMin + settings.nStep),
+  };
+}
+
+// Value shown next to a setting's label
+export function formatSetting(key, value) {
+  const field = settingsSchema[key];
+  return field.format ? field.format(value) : String(value);
+}
+
+function isValidSetting(key, value) {
+  const field = settingsSchema[key];
+  if (!field || typeof value !== field.type) return false;
+  if (field.options) return field.options.some((o) => o.value === value);
+  if (field.validate && !field.validate(value)) return false;
+  if (field.type !== "number") return true;
+  return (
+    Number.isFinite(value) &&
+    value >= field.min &&
+    value <= field.max &&
+    (!field.integer || Number.isInteger(value))
+  );
+}
+
+// Upgrades for settings stored or exported before each version, applied in
+// order. renamed maps an old field name to its current one; migrate fills in
+// fields whose meaning changed, noting what it did.
+const migrations = [
+  {
+    // Unversioned settings, from before treatment-arm attrition and the
+    // repeated-measures correlation model were added
+    from: 0,
+    renamed: {},
+    migrate: (raw, notes) => {
+      const next = { ...raw };
+      if (!("treatmentAttrition" in raw) && "controlAttrition" in raw) {
+        next.treatmentAttrition = raw.controlAttrition;
+        notes.push(
+          "treatmentAttrition: copied from controlAttrition (older versions applied one attrition rate to both arms)",
+        );
+      }
+      if (!("repeatedMeasuresModel" in raw) && "repeatedMeasuresGain" in raw) {
+        next.repeatedMeasuresModel = "fixed";
+        notes.push(
+          "repeatedMeasuresModel: set to fixed to keep the saved repeatedMeasuresGain",
+        );
+      }
+      return next;
+    },
+  },
+];
+
+// Bring raw settings from an older version up to SETTINGS_VERSION
+function migrateSettings(raw, version, notes) {
+  return migrations
+    .filter((step) => step.from >= version)
+    .reduce((current, step) => {
+      const renamed = { ...current };
+      Object.entries(step.renamed).forEach(([from, to]) => {
+        if (from in renamed) {
+          if (!(to in renamed)) renamed[to] = renamed[from];
+          delete renamed[from];
+          notes.push(`${from}: renamed to ${to}`);
+        }
+      });
+      return step.migrate(renamed, notes);
+    }, raw);
+}
+
+// Keep only the recognised, valid fields of raw, then bring settings that
+// conflict with each other into range. Returns the accepted settings, the
+// keys that were rejected, and a note for each value that was clamped.
+export function sanitizeSettings(raw) {
+  const settings = {};
+  const rejected = [];
+  const clamped = [];
+  if (!raw || typeof raw !== "object") return { settings, rejected, clamped };
+
+  Object.keys(defaults).forEach((key) => {
+    if (!(key in raw)) return;
+    if (isValidSetting(key, raw[key])) {
+      settings[key] = raw[key];
+    } else {
+      rejected.push(key);
+    }
+  });
+
+  const value = (key) => settings[key] ?? defaults[key];
+  const clamp = (key, to, reason) => {
+    clamped.push(`${key}: ${value(key)} → ${to} (${reason})`);
+    settings[key] = to;
+  };
+
+  // The N range only makes sense as a whole. It starts at two clinicians
+  // or more, and holds at most MAX_CURVE_POINTS points.
+  const nMin = Math.max(value("nMin"), 2 * value("patientsPerCluster"));
+  const nMax = value("nMax");
+  const nStep = value("nStep");
+  if (nMin + nStep > nMax) {
+    ["nMin", "nMax", "nStep"].forEach((key) => {
+      if (key in settings) {
+        delete settings[key];
+        rejected.push(key);
+      }
+    });
+  } else {
+    if (nMin > value("nMin")) {
+      clamp("nMin", nMin, "at least two clinicians");
+    }
+    const minStep = Math.ceil((nMax - nMin) / MAX_CURVE_POINTS);
+    if (nStep < minStep) {
+      clamp("nStep", minStep, `at most ${MAX_CURVE_POINTS} points`);
+    }
+  }
+
+  // The assumed retention effect is a reduction in control attrition
+  const maxEffect = maxRetentionEffect(value("controlAttrition"));
+  if (value("assumedRetentionEffect") > maxEffect) {
+    clamp("assumedRetentionEffect", maxEffect, "below control attrition");
+  }
+  return { settings, rejected, clamped };
+}
+
+// Encode every setting into a query string on the current page's URL
+export function settingsToUrl(settings, baseUrl = window.location.href) {
+  const url = new URL(baseUrl);
+  url.search = "";
+  url.hash = "";
+  url.searchParams.set("v", String(SETTINGS_VERSION));
+  Object.keys(defaults).forEach((key) => {
+    url.searchParams.set(key, String(settings[key]));
+  });
+  return url.toString();
+}
+
+// Settings from a query string. Values are parsed with the type of their
+// default; anything that fails validation is reported in rejected, and
+// values brought into range with the others in clamped.
+export function settingsFromUrl(search = window.location.search) {
+  const query = new URLSearchParams(search);
+  const raw = {};
+  Object.keys(defaults).forEach((key) => {
+    if (!query.has(key)) return;
+    const text = query.get(key);
+    raw[key] =
+      settingsSchema[key].type === "number" && text.trim() !== ""
+        ? Number(text)
+        : text;
+  });
+
+  const { settings, rejected, clamped } = sanitizeSettings(raw);
+  const version = Number(query.get("v"));
+  return {
+    settings,
+    rejected,
+    clamped,
+    found: Object.keys(raw).length > 0,
+    outdated: query.has("v") && version !== SETTINGS_VERSION,
+  };
+}
+
+// Remove the settings query string once it has been applied, so later
+// edits aren't overridden by a stale link on reload
+export function clearSettingsFromUrl() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete("v");
+  Object.keys(defaults).forEach((key) => url.searchParams.delete(key));
+  window.history.replaceState(null, "", url.toString());
+}
+
+// Saved settings, overridden by any settings in the page URL. Settings are
+// stored as { version, settings }; older entries are the bare settings
+// object and are migrated from version 0. Returns { settings, link }, where
+// link reports the URL's settings as settingsFromUrl does, with the values
+// clamped or reset when they were combined with the saved ones.
+export function loadSettings(search = window.location.search) {
+  let saved = {};
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored && typeof stored === "object") {
+      const versioned = typeof stored.version === "number" && stored.settings;
+      saved = sanitizeSettings(
+        migrateSettings(
+          versioned ? stored.settings : stored,
+          versioned ? stored.version : 0,
+          [],
+        ),
+      ).settings;
+    }
+  } catch (e) {
+    // Ignore errors
+  }
+  // A link may set only some fields, so check the combination again
+  const link = settingsFromUrl(search);
+  const merged = sanitizeSettings({ ...defaults, ...saved, ...link.settings });
+  return {
+    settings: { ...defaults, ...merged.settings },
+    link: {
+      ...link,
+      rejected: [...new Set([...link.rejected, ...merged.rejected])],
+      clamped: merged.clamped,
+    },
+  };
+}
+
+export function saveSettings(settings) {
+  try {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ version: SETTINGS_VERSION, settings }),
+    );
+  } catch (e) {
+    // Ignore errors
+  }
+}
+
+// Named scenarios: [{ id, name, settings }]. Each scenario's settings are
+// complete, with invalid or missing fields filled from defaults. Scenarios
+// are stored as { version, scenarios }; older entries are the bare array
+// and are migrated from version 0, like saved settings.
+export function loadScenarios() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SCENARIOS_KEY));
+    const versioned =
+      stored &&
+      typeof stored.version === "number" &&
+      Array.isArray(stored.scenarios);
+    const saved = versioned ? stored.scenarios : stored;
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .filter((s) => s && typeof s.id === "string")
+      .map((s) => {
+        const raw =
+          s.settings && typeof s.settings === "object" ? s.settings : {};
+        const migrated = migrateSettings(
+          raw,
+          versioned ? stored.version : 0,
+          [],
+        );
+        return {
+          id: s.id,
+          name: typeof s.name === "string" ? s.name : "Untitled",
+          settings: { ...defaults, ...sanitizeSettings(migrated).settings },
+        };
+      });
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveScenarios(scenarios) {
+  try {
+    localStorage.setItem(
+      SCENARIOS_KEY,
+      JSON.stringify({ version: SETTINGS_VERSION, scenarios }),
+    );
+  } catch (e) {
+    // Ignore errors
+  }
+}
+
+export function createScenario(name, settings) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    settings: { ...settings },
+  };
+}
+
+// JSON settings files
+// A file holds the current settings and any saved scenarios, tagged with
+// SETTINGS_VERSION so older files can be migrated when loaded.
+
+const SETTINGS_FILE_TYPE = "aurora-power-calculator-settings";
+
+// Validate one settings object from a file. Returns complete settings and a
+// report of the fields that were migrated, ignored, defaulted or clamped.
+function readFileSettings(raw, version) {
+  const report = { migrated: [], ignored: [], defaulted: [], clamped: [] };
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    report.defaulted = Object.keys(defaults);
+    return { settings: { ...defaults }, report };
+  }
+
+  const migrated = migrateSettings(raw, version, report.migrated);
+  const { settings, rejected, clamped } = sanitizeSettings(migrated);
+  report.clamped = clamped;
+  report.ignored = Object.keys(migrated).filter((key) => !(key in defaults));
+  report.defaulted = [
+    ...rejected.map((key) => `${key} (invalid value)`),
+    ...Object.keys(defaults)
+      .filter((key) => !(key in migrated))
+      .map((key) => `${key} (missing)`),
+  ];
+  return { settings: { ...defaults, ...settings }, report };
+}
+
+export function settingsFileContents(settings, scenarios) {
+  return JSON.stringify(
+    {
+      type: SETTINGS_FILE_TYPE,
+      version: SETTINGS_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings,
+      scenarios: scenarios.map(({ name, settings }) => ({ name, settings })),
+    },
+    null,
+    2,
+  );
+}
+
+// Parse a settings file. Throws an Error with a readable message if the
+// file can't be used at all; otherwise returns the settings (null if the
+// file has none), the scenarios, and a report per section.
+export function parseSettingsFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (e) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (!file || typeof file !== "object" || Array.isArray(file)) {
+    throw new Error("The file does not contain a settings object.");
+  }
+
+  // Files without a type are accepted as bare settings objects, e.g. the
+  // contents of localStorage from an older version
+  const isSettingsFile = file.type === SETTINGS_FILE_TYPE;
+  if (file.type !== undefined && !isSettingsFile) {
+    throw new Error("The file is not an AURORA power calculator export.");
+  }
+  const version = isSettingsFile ? Number(file.version) || 0 : 0;
+  if (version > SETTINGS_VERSION) {
+    throw new Error(
+      `The file was saved by a newer version of the calculator (settings version ${version}).`,
+    );
+  }
+
+  const sections = [];
+  let settings = null;
+  const rawSettings = isSettingsFile ? file.settings : file;
+  if (rawSettings !== undefined) {
+    const result = readFileSettings(rawSettings, version);
+    settings = result.settings;
+    sections.push({ title: "Current settings", ...result.report });
+  }
+
+  const scenarios = [];
+  if (isSettingsFile && Array.isArray(file.scenarios)) {
+    file.scenarios.forEach((raw, i) => {
+      const name =
+        raw && typeof raw.name === "string" && raw.name.trim()
+          ? raw.name
+          : `Imported scenario ${i + 1}`;
+      const result = readFileSettings(raw && raw.settings, version);
+      scenarios.push(createScenario(name, result.settings));
+      sections.push({ title: `Scenario "${name}"`, ...result.report });
+    });
+  }
+
+  if (!settings && scenarios.length === 0) {
+    throw new Error("The file contains no settings or scenarios.");
+  }
+  return { settings, scenarios, version, sections };
+}
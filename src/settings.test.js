@@ -0,0 +1,259 @@
+import {
+  MAX_CURVE_POINTS,
+  SCENARIOS_KEY,
+  SETTINGS_VERSION,
+  STORAGE_KEY,
+  createScenario,
+  defaults,
+  loadScenarios,
+  loadSettings,
+  parseSettingsFile,
+  sanitizeSettings,
+  saveScenarios,
+  settingsFileContents,
+  settingsFromUrl,
+  settingsSchema,
+  withPatientsPerCluster,
+} from "./settings";
+
+test("numeric defaults and limits lie on the step grid", () => {
+  for (const [name, field] of Object.entries(settingsSchema)) {
+    if (field.type !== "number" || field.step === undefined) continue;
+    for (const value of [field.default, field.max]) {
+      const steps = (value - field.min) / field.step;
+      expect([name, Math.abs(steps - Math.round(steps)) < 1e-9]).toEqual([
+        name,
+        true,
+      ]);
+    }
+  }
+});
+
+describe("sanitizeSettings", () => {
+  test("keeps valid settings and rejects invalid ones", () => {
+    const { settings, rejected, clamped } = sanitizeSettings({
+      power: 0.9,
+      alpha: "0.05",
+      unknown: 1,
+    });
+    expect(settings).toEqual({ power: 0.9 });
+    expect(rejected).toEqual(["alpha"]);
+    expect(clamped).toEqual([]);
+  });
+
+  test("limits the number of points on the curves", () => {
+    const { settings, clamped } = sanitizeSettings({
+      nMin: 20,
+      nMax: 20000,
+      nStep: 1,
+    });
+    expect(settings.nStep).toBe(Math.ceil(19980 / MAX_CURVE_POINTS));
+    expect(
+      (settings.nMax - settings.nMin) / settings.nStep,
+    ).toBeLessThanOrEqual(MAX_CURVE_POINTS);
+    expect(clamped).toHaveLength(1);
+  });
+
+  test("starts the N range at two clinicians", () => {
+    const { settings, clamped } = sanitizeSettings({
+      patientsPerCluster: 15,
+      nMin: 10,
+    });
+    expect(settings.nMin).toBe(30);
+    expect(clamped[0]).toMatch(/^nMin: 10 → 30/);
+  });
+
+  test("rejects an N range narrower than its step", () => {
+    const { settings, rejected } = sanitizeSettings({
+      nMin: 1000,
+      nMax: 1020,
+      nStep: 50,
+    });
+    expect(settings).toEqual({});
+    expect(rejected).toEqual(["nMin", "nMax", "nStep"]);
+  });
+
+  test("keeps the retention effect below control attrition", () => {
+    const { settings, clamped } = sanitizeSettings({
+      controlAttrition: 0.2,
+      assumedRetentionEffect: 25,
+    });
+    expect(settings.assumedRetentionEffect).toBe(19.5);
+    expect(clamped).toHaveLength(1);
+  });
+
+  test("accepts the defaults unchanged", () => {
+    expect(sanitizeSettings(defaults)).toEqual({
+      settings: defaults,
+      rejected: [],
+      clamped: [],
+    });
+  });
+});
+
+test("settingsFromUrl reports values clamped to fit the others", () => {
+  const link = settingsFromUrl("?v=1&nMin=10&nMax=20000&nStep=1");
+  expect(link.rejected).toEqual([]);
+  expect(link.settings.nStep).toBeGreaterThan(1);
+  expect(link.clamped.map((note) => note.split(":")[0])).toEqual([
+    "nMin",
+    "nStep",
+  ]);
+});
+
+describe("loadSettings", () => {
+  afterEach(() => localStorage.clear());
+
+  test("reports clamps from combining a link with saved settings", () => {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({
+        version: 1,
+        settings: { ...defaults, assumedRetentionEffect: 25 },
+      }),
+    );
+    const { settings, link } = loadSettings("?v=1&controlAttrition=0.2");
+    expect(settings.controlAttrition).toBe(0.2);
+    expect(settings.assumedRetentionEffect).toBe(19.5);
+    expect(link.found).toBe(true);
+    expect(link.clamped.map((note) => note.split(":")[0])).toEqual([
+      "assumedRetentionEffect",
+    ]);
+  });
+
+  test("migrates unversioned saved settings", () => {
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({ controlAttrition: 0.25, repeatedMeasuresGain: 1.6 }),
+    );
+    const { settings } = loadSettings("");
+    expect(settings.treatmentAttrition).toBe(0.25);
+    expect(settings.repeatedMeasuresModel).toBe("fixed");
+    expect(settings.repeatedMeasuresGain).toBe(1.6);
+  });
+
+  test("reports nothing without a link", () => {
+    const { settings, link } = loadSettings("");
+    expect(settings).toEqual(defaults);
+    expect(link.found).toBe(false);
+    expect(link.rejected).toEqual([]);
+    expect(link.clamped).toEqual([]);
+  });
+});
+
+describe("scenarios in storage", () => {
+  afterEach(() => localStorage.clear());
+
+  test("are saved with the settings version and read back", () => {
+    const scenario = createScenario("Pessimistic ICC", {
+      ...defaults,
+      iccHamd: 0.1,
+    });
+    saveScenarios([scenario]);
+    const stored = JSON.parse(localStorage.getItem(SCENARIOS_KEY));
+    expect(stored.version).toBe(SETTINGS_VERSION);
+    expect(loadScenarios()).toEqual([scenario]);
+  });
+
+  test("are migrated from an unversioned list", () => {
+    localStorage.setItem(
+      SCENARIOS_KEY,
+      JSON.stringify([
+        { id: "a", name: "Old", settings: { controlAttrition: 0.35 } },
+        { id: "b", settings: null },
+        { name: "No id" },
+      ]),
+    );
+    const [old, untitled, ...rest] = loadScenarios();
+    expect(rest).toEqual([]);
+    expect(old.settings.controlAttrition).toBe(0.35);
+    expect(old.settings.treatmentAttrition).toBe(0.35);
+    expect(untitled).toEqual({ id: "b", name: "Untitled", settings: defaults });
+  });
+});
+
+describe("parseSettingsFile", () => {
+  test("migrates a version 0 file and reports the changes", () => {
+    const file = parseSettingsFile(
+      JSON.stringify({ controlAttrition: 0.2, power: 2, oldField: 1 }),
+    );
+    expect(file.version).toBe(0);
+    expect(file.scenarios).toEqual([]);
+    expect(file.settings.treatmentAttrition).toBe(0.2);
+    expect(file.settings.power).toBe(defaults.power);
+    const [section] = file.sections;
+    expect(section.migrated).toHaveLength(1);
+    expect(section.ignored).toEqual(["oldField"]);
+    expect(section.defaulted).toContain("power (invalid value)");
+  });
+
+  test("reads the settings and scenarios of an export", () => {
+    const file = parseSettingsFile(
+      settingsFileContents({ ...defaults, power: 0.9 }, [
+        createScenario("Base case", defaults),
+      ]),
+    );
+    expect(file.version).toBe(SETTINGS_VERSION);
+    expect(file.settings).toEqual({ ...defaults, power: 0.9 });
+    expect(file.scenarios.map((s) => [s.name, s.settings])).toEqual([
+      ["Base case", defaults],
+    ]);
+    expect(file.sections.map((s) => s.defaulted)).toEqual([[], []]);
+  });
+
+  test("rejects files it cannot use", () => {
+    expect(() => parseSettingsFile("{")).toThrow("not valid JSON");
+    expect(() => parseSettingsFile(JSON.stringify({ type: "other" }))).toThrow(
+      "not an AURORA",
+    );
+    expect(() =>
+      parseSettingsFile(
+        JSON.stringify({
+          type: "aurora-power-calculator-settings",
+          version: SETTINGS_VERSION + 1,
+          settings: defaults,
+        }),
+      ),
+    ).toThrow("newer version");
+  });
+
+  test("reports values clamped to fit the others", () => {
+    const file = parseSettingsFile(
+      JSON.stringify({
+        type: "aurora-power-calculator-settings",
+        version: 1,
+        settings: { ...defaults, nMin: 10, nMax: 20000, nStep: 1 },
+      }),
+    );
+    expect(file.settings.nMin).toBe(2 * defaults.patientsPerCluster);
+    expect(file.sections[0].clamped).toHaveLength(2);
+  });
+});
+
+describe("withPatientsPerCluster", () => {
+  test("moves the N range up to two clinicians", () => {
+    const next = withPatientsPerCluster(
+      { ...defaults, nMin: 10, nMax: 40, nStep: 10 },
+      15,
+    );
+    expect(next.patientsPerCluster).toBe(15);
+    expect(next.nMin).toBe(30);
+    expect(next.nMax).toBe(40);
+    expect(sanitizeSettings(next).clamped).toEqual([]);
+  });
+
+  test("widens the range when it would be narrower than a step", () => {
+    const next = withPatientsPerCluster(
+      { ...defaults, nMin: 10, nMax: 20, nStep: 10 },
+      12,
+    );
+    expect(next.nMin).toBe(24);
+    expect(next.nMax).toBe(34);
+  });
+
+  test("leaves a range that already starts high enough", () => {
+    const next = withPatientsPerCluster(defaults, 15);
+    expect(next.nMin).toBe(defaults.nMin);
+    expect(next.nMax).toBe(defaults.nMax);
+  });
+});
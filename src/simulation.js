@@ -0,0 +1,506 @@
+// Monte Carlo checks of the analytic HAM-D and retention calculations
+// simulateHamdPower simulates cluster-randomised trials under the current
+// settings and counts how often the HAM-D treatment effect is detected.
+// Clinician random effects, unequal cluster sizes, arm-specific attrition
+// and the baseline covariate are simulated directly; the IPCW variance
+// inflation, repeated-measures gain and measurement model enter as a
+// scaling of the outcome variance, as they do in calcHamdMDE.
+// simulateRetentionPower simulates clustered time-to-dropout data and
+// compares a log-rank test with the binary analysis, giving the survival
+// efficiency that calcRetentionMDE takes as a setting.
+
+import {
+  allocateClusters,
+  calcHamdMDE,
+  calcRetentionPower,
+  calcRepeatedMeasuresGain,
+  measurementVarianceMultiplier,
+  tAlpha,
+  zAlpha,
+} from "./powerEngine";
+import { activeCaseloads, parseClusterSizes } from "./clusterSizes";
+
+// Seeded uniform generator (mulberry32), so runs can be reproduced
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draws (Box-Muller)
+function createNormal(random) {
+  let spare = null;
+  return () => {
+    if (spare !== null) {
+      const value = spare;
+      spare = null;
+      return value;
+    }
+    let u = 0;
+    while (u === 0) u = random();
+    const r = Math.sqrt(-2 * Math.log(u));
+    const theta = 2 * Math.PI * random();
+    spare = r * Math.sin(theta);
+    return r * Math.cos(theta);
+  };
+}
+
+// Gamma(shape, 1) draw (Marsaglia-Tsang)
+function drawGamma(shape, random, normal) {
+  if (shape < 1) {
+    return drawGamma(shape + 1, random, normal) * Math.pow(random(), 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = normal();
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+// Draws of cluster size with mean patientsPerCluster: resampled from the
+// caseloads when the design effect uses them, otherwise gamma distributed
+// with coefficient of variation clusterSizeCV. Rounded, at least one patient.
+function createClusterSizeDraw(params, random, normal) {
+  const { patientsPerCluster, clusterSizeCV } = params;
+  const caseloads = activeCaseloads(params);
+  if (caseloads) {
+    const sizes = parseClusterSizes(params.clusterSizes).map(
+      (size) => (size * patientsPerCluster) / caseloads.mean,
+    );
+    return () =>
+      Math.max(1, Math.round(sizes[Math.floor(random() * sizes.length)]));
+  }
+  if (!(clusterSizeCV > 0)) return () => patientsPerCluster;
+  const shape = 1 / (clusterSizeCV * clusterSizeCV);
+  return () => {
+    const size =
+      (drawGamma(shape, random, normal) * patientsPerCluster) / shape;
+    return Math.max(1, Math.round(size));
+  };
+}
+
+function invert3(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  return [
+    A / det,
+    -(b * i - c * h) / det,
+    (b * f - c * e) / det,
+    B / det,
+    (a * i - c * g) / det,
+    -(a * f - c * d) / det,
+    C / det,
+    -(a * h - b * g) / det,
+    (a * e - b * d) / det,
+  ];
+}
+
+// One simulated trial, analysed by ANCOVA (outcome on treatment and the
+// baseline covariate) with cluster-robust standard errors. Returns the
+// treatment effect estimate and its standard error.
+function simulateTrial(totalN, params, effect, sd, random, normal, drawSize) {
+  const { nTreatmentClusters, nControlClusters } = allocateClusters(
+    totalN,
+    params,
+  );
+  const { iccHamd, r2Hamd } = params;
+  const covariateSlope = sd * Math.sqrt(r2Hamd);
+  const residualSD = sd * Math.sqrt(1 - r2Hamd);
+  const clusterSD = residualSD * Math.sqrt(iccHamd);
+  const patientSD = residualSD * Math.sqrt(1 - iccHamd);
+
+  // Completers' data: cluster index, treatment, covariate, outcome
+  const clusters = [];
+  const treat = [];
+  const covariate = [];
+  const outcome = [];
+  const nClusters = nTreatmentClusters + nControlClusters;
+  for (let j = 0; j < nClusters; j++) {
+    const isTreatment = j < nTreatmentClusters ? 1 : 0;
+    const attrition = isTreatment
+      ? params.treatmentAttrition
+      : params.controlAttrition;
+    const clusterEffect = clusterSD * normal();
+    const size = drawSize();
+    for (let k = 0; k < size; k++) {
+      if (random() < attrition) continue;
+      const x = normal();
+      clusters.push(j);
+      treat.push(isTreatment);
+      covariate.push(x);
+      outcome.push(
+        effect * isTreatment +
+          covariateSlope * x +
+          clusterEffect +
+          patientSD * normal(),
+      );
+    }
+  }
+
+  // Ordinary least squares fit
+  const n = outcome.length;
+  const xtx = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+  const xty = [0, 0, 0];
+  for (let r = 0; r < n; r++) {
+    const row = [1, treat[r], covariate[r]];
+    for (let a = 0; a < 3; a++) {
+      xty[a] += row[a] * outcome[r];
+      for (let b = 0; b < 3; b++) xtx[a * 3 + b] += row[a] * row[b];
+    }
+  }
+  const inv = invert3(xtx);
+  const beta = [0, 1, 2].map(
+    (a) =>
+      inv[a * 3] * xty[0] + inv[a * 3 + 1] * xty[1] + inv[a * 3 + 2] * xty[2],
+  );
+
+  // Cluster-robust (sandwich) variance with the usual small-sample factor
+  const scores = Array.from({ length: nClusters }, () => [0, 0, 0]);
+  for (let r = 0; r < n; r++) {
+    const row = [1, treat[r], covariate[r]];
+    const residual = outcome[r] - beta[0] - beta[1] * row[1] - beta[2] * row[2];
+    const score = scores[clusters[r]];
+    for (let a = 0; a < 3; a++) score[a] += row[a] * residual;
+  }
+  const meat = [0, 0, 0, 0, 0, 0, 0, 0, 0];
+  scores.forEach((score) => {
+    for (let a = 0; a < 3; a++) {
+      for (let b = 0; b < 3; b++) meat[a * 3 + b] += score[a] * score[b];
+    }
+  });
+  // Variance of the treatment coefficient: row 1 of inv × meat × inv
+  const invRow = [inv[3], inv[4], inv[5]];
+  let variance = 0;
+  for (let a = 0; a < 3; a++) {
+    for (let b = 0; b < 3; b++) {
+      variance += invRow[a] * meat[a * 3 + b] * invRow[b];
+    }
+  }
+  variance *= (nClusters / (nClusters - 1)) * ((n - 1) / (n - 3));
+
+  return { estimate: beta[1], se: Math.sqrt(variance) };
+}
+
+// Empirical power at effect (the analytic MDE by default) over replicates
+// simulated trials, with its Monte Carlo standard error. onProgress is
+// called with the number of replicates done.
+export function simulateHamdPower(
+  totalN,
+  params,
+  { effect, replicates = 1000, seed = 1, onProgress } = {},
+) {
+  const analytic = calcHamdMDE(totalN, params);
+  const trueEffect = effect ?? analytic.mde;
+  if (Number.isNaN(analytic.df)) {
+    throw new Error(
+      "The t correction needs at least two clinicians in each arm.",
+    );
+  }
+  if (!Number.isFinite(trueEffect)) {
+    throw new Error("This design has no finite HAM-D MDE to simulate.");
+  }
+  // Per-patient SD of the analysed outcome, scaled as in calcHamdMDE
+  const sd = Math.sqrt(
+    (params.sigmaHamd *
+      params.sigmaHamd *
+      params.ipcwVIF *
+      measurementVarianceMultiplier(params)) /
+      calcRepeatedMeasuresGain(params),
+  );
+  // The analytic calculation's critical value, t when it is corrected
+  // for few clusters
+  const crit = tAlpha(params.alpha, params.sided, analytic.df);
+  const random = createRandom(seed);
+  const normal = createNormal(random);
+  const drawSize = createClusterSizeDraw(params, random, normal);
+
+  let rejections = 0;
+  let sumEstimate = 0;
+  let sumSquaredEstimate = 0;
+  let sumSE = 0;
+  for (let rep = 1; rep <= replicates; rep++) {
+    const { estimate, se } = simulateTrial(
+      totalN,
+      params,
+      trueEffect,
+      sd,
+      random,
+      normal,
+      drawSize,
+    );
+    const z = estimate / se;
+    if (params.sided === "one" ? z > crit : Math.abs(z) > crit) rejections++;
+    sumEstimate += estimate;
+    sumSquaredEstimate += estimate * estimate;
+    sumSE += se;
+    if (onProgress && (rep % 50 === 0 || rep === replicates)) onProgress(rep);
+  }
+
+  const power = rejections / replicates;
+  const mcse = Math.sqrt((power * (1 - power)) / replicates);
+  const meanEstimate = sumEstimate / replicates;
+  return {
+    replicates,
+    seed,
+    effect: trueEffect,
+    analyticPower: params.power,
+    analyticSE: analytic.se,
+    power,
+    mcse,
+    ciLower: Math.max(0, power - 1.96 * mcse),
+    ciUpper: Math.min(1, power + 1.96 * mcse),
+    meanEstimate,
+    empiricalSE: Math.sqrt(
+      (sumSquaredEstimate - replicates * meanEstimate * meanEstimate) /
+        (replicates - 1),
+    ),
+    meanRobustSE: sumSE / replicates,
+  };
+}
+
+// Gamma frailty variance giving a between-clinician ICC of icc for the
+// binary dropout indicator at the end of follow-up, when the marginal
+// dropout probability is p. With mean-one gamma frailty of variance θ and
+// cumulative hazard Λ, E[S] = (1 + θΛ)^(−1/θ) and E[S²] = (1 + 2θΛ)^(−1/θ),
+// so ICC = (E[S²] − E[S]²) / (p(1 − p)). Solved by bisection on log θ.
+export function frailtyVariance(icc, p) {
+  if (!(icc > 0) || !(p > 0 && p < 1)) return 0;
+  const iccFor = (theta) => {
+    const survival = 1 - p;
+    const cumHazard = (Math.pow(survival, -theta) - 1) / theta;
+    const s2 = Math.pow(1 + 2 * theta * cumHazard, -1 / theta);
+    return (s2 - survival * survival) / (p * (1 - p));
+  };
+  let lo = -12;
+  let hi = 6;
+  for (let i = 0; i < 60; i++) {
+    const mid = (lo + hi) / 2;
+    if (iccFor(Math.exp(mid)) < icc) lo = mid;
+    else hi = mid;
+  }
+  return Math.exp((lo + hi) / 2);
+}
+
+// Baseline cumulative hazard at the end of follow-up giving a marginal
+// dropout probability p under gamma frailty of variance theta
+function cumulativeHazardFor(p, theta) {
+  if (theta === 0) return -Math.log(1 - p);
+  return (Math.pow(1 - p, -theta) - 1) / theta;
+}
+
+// One simulated trial of time to dropout. Time is in units of the
+// attrition period: Weibull hazards of the given shape (1 = exponential) are
+// scaled so each arm's dropout probability by t = 1 matches its rate, and
+// follow-up ends at rates.horizon. Returns the z statistics of a
+// cluster-robust log-rank test and of the binary difference in dropout by
+// the end of follow-up, positive when the treatment arm retains more
+// patients.
+function simulateDropoutTrial(
+  totalN,
+  params,
+  rates,
+  shape,
+  random,
+  normal,
+  drawSize,
+) {
+  const { nTreatmentClusters, nControlClusters } = allocateClusters(
+    totalN,
+    params,
+  );
+  const { theta, horizon } = rates;
+  const nClusters = nTreatmentClusters + nControlClusters;
+  const patients = [];
+  for (let j = 0; j < nClusters; j++) {
+    const isTreatment = j < nTreatmentClusters ? 1 : 0;
+    const cumHazard = isTreatment
+      ? rates.treatmentCumHazard
+      : rates.controlCumHazard;
+    const frailty =
+      theta > 0 ? drawGamma(1 / theta, random, normal) * theta : 1;
+    const size = drawSize();
+    for (let k = 0; k < size; k++) {
+      let u = 0;
+      while (u === 0) u = random();
+      const time = Math.pow(-Math.log(u) / (frailty * cumHazard), 1 / shape);
+      patients.push({
+        cluster: j,
+        treat: isTreatment,
+        time: Math.min(time, horizon),
+        event: time < horizon ? 1 : 0,
+      });
+    }
+  }
+
+  // Log-rank score for treatment and each patient's contribution to it:
+  //   U_i = δ_i (Z_i − Z̄(T_i)) − Z_i A(T_i) + B(T_i)
+  // with A = Σ d_k/R_k and B = Σ d_k Z̄_k / R_k over event times up to T_i.
+  // Administrative censoring at the horizon comes after every event time.
+  patients.sort((a, b) => a.time - b.time);
+  let atRisk = patients.length;
+  let treatedAtRisk = patients.reduce((sum, p) => sum + p.treat, 0);
+  let cumA = 0;
+  let cumB = 0;
+  let score = 0;
+  const clusterScores = new Array(nClusters).fill(0);
+  patients.forEach((p) => {
+    let contribution;
+    if (p.event) {
+      const zBar = treatedAtRisk / atRisk;
+      cumA += 1 / atRisk;
+      cumB += zBar / atRisk;
+      contribution = p.treat - zBar - p.treat * cumA + cumB;
+    } else {
+      contribution = -p.treat * cumA + cumB;
+    }
+    score += contribution;
+    clusterScores[p.cluster] += contribution;
+    atRisk -= 1;
+    treatedAtRisk -= p.treat;
+  });
+  const scoreVariance =
+    (clusterScores.reduce((sum, u) => sum + u * u, 0) * nClusters) /
+    (nClusters - 1);
+  // Fewer treatment events than expected gives a negative score
+  const survivalZ = -score / Math.sqrt(scoreVariance);
+
+  // Binary analysis: difference in dropout proportions by the horizon, with
+  // cluster-robust variances for each arm
+  const arms = [0, 1].map((treat) => {
+    const clusters = new Map();
+    patients.forEach((p) => {
+      if (p.treat !== treat) return;
+      const c = clusters.get(p.cluster) || { n: 0, events: 0 };
+      c.n += 1;
+      c.events += p.event;
+      clusters.set(p.cluster, c);
+    });
+    let n = 0;
+    let events = 0;
+    clusters.forEach((c) => {
+      n += c.n;
+      events += c.events;
+    });
+    const rate = events / n;
+    let sumSquares = 0;
+    clusters.forEach((c) => {
+      sumSquares += (c.events - rate * c.n) ** 2;
+    });
+    const g = clusters.size;
+    return { rate, variance: (sumSquares * g) / (g - 1) / (n * n) };
+  });
+  const binaryZ =
+    (arms[0].rate - arms[1].rate) /
+    Math.sqrt(arms[0].variance + arms[1].variance);
+
+  return { survivalZ, binaryZ };
+}
+
+// Empirical power of the log-rank and binary analyses of retention for a
+// reduction in dropout of effect (a proportion; assumedRetentionEffect by
+// default), and the survival efficiency they imply: the squared ratio of
+// their mean z statistics, which is how survivalEfficiency scales the
+// binary SE. Neither analysis adjusts for a covariate, so the analytic
+// comparison uses r2Retention = 0; R² scales both analyses alike. In the
+// hazard ratio model follow-up lasts followUpMonths, so the binary analysis
+// compares dropout by then; otherwise it ends with the attrition period.
+export function simulateRetentionPower(
+  totalN,
+  params,
+  { effect, shape = 1, replicates = 1000, seed = 1, onProgress } = {},
+) {
+  const controlRate = params.controlAttrition;
+  const trueEffect = Math.min(
+    effect ?? params.assumedRetentionEffect / 100,
+    controlRate * 0.99,
+  );
+  const treatmentRate = controlRate - trueEffect;
+  const theta = frailtyVariance(params.iccRetention, controlRate);
+  const horizon =
+    params.retentionModel === "hazardRatio"
+      ? params.followUpMonths / params.attritionMonths
+      : 1;
+  const rates = {
+    theta,
+    horizon,
+    controlCumHazard: cumulativeHazardFor(controlRate, theta),
+    treatmentCumHazard: cumulativeHazardFor(treatmentRate, theta),
+  };
+  const crit = zAlpha(params.alpha, params.sided);
+  const rejects = (z) =>
+    params.sided === "one" ? z > crit : Math.abs(z) > crit;
+  const random = createRandom(seed);
+  const normal = createNormal(random);
+  const drawSize = createClusterSizeDraw(params, random, normal);
+
+  let survivalRejections = 0;
+  let binaryRejections = 0;
+  let sumSurvivalZ = 0;
+  let sumBinaryZ = 0;
+  for (let rep = 1; rep <= replicates; rep++) {
+    const { survivalZ, binaryZ } = simulateDropoutTrial(
+      totalN,
+      params,
+      rates,
+      shape,
+      random,
+      normal,
+      drawSize,
+    );
+    if (rejects(survivalZ)) survivalRejections++;
+    if (rejects(binaryZ)) binaryRejections++;
+    sumSurvivalZ += survivalZ;
+    sumBinaryZ += binaryZ;
+    if (onProgress && (rep % 50 === 0 || rep === replicates)) onProgress(rep);
+  }
+
+  const withMcse = (rejections) => {
+    const power = rejections / replicates;
+    return { power, mcse: Math.sqrt((power * (1 - power)) / replicates) };
+  };
+  const unadjusted = { ...params, r2Retention: 0 };
+  const effectPoints = trueEffect * 100;
+  // Attrition by the end of follow-up, for the binary analysis
+  const byHorizon = (rate) => 1 - Math.pow(1 - rate, horizon);
+  return {
+    replicates,
+    seed,
+    shape,
+    effect: effectPoints,
+    controlRate: controlRate * 100,
+    treatmentRate: treatmentRate * 100,
+    frailtyVariance: theta,
+    survival: withMcse(survivalRejections),
+    binary: withMcse(binaryRejections),
+    analyticSurvivalPower: calcRetentionPower(effectPoints, totalN, unadjusted),
+    analyticBinaryPower: calcRetentionPower(
+      (byHorizon(controlRate) - byHorizon(treatmentRate)) * 100,
+      totalN,
+      {
+        ...unadjusted,
+        retentionModel: "difference",
+        survivalEfficiency: 1,
+        controlAttrition: byHorizon(controlRate),
+        treatmentAttrition: byHorizon(treatmentRate),
+      },
+    ),
+    impliedEfficiency: (sumSurvivalZ / sumBinaryZ) ** 2,
+  };
+}
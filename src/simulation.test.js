@@ -0,0 +1,95 @@
+import {
+  frailtyVariance,
+  simulateHamdPower,
+  simulateRetentionPower,
+} from "./simulation";
+import { defaults } from "./settings";
+
+// Fixed seeds keep these checks deterministic. Tolerances allow for the
+// Monte Carlo error at the number of replicates used.
+
+describe("simulateHamdPower", () => {
+  const result = simulateHamdPower(1000, defaults, {
+    replicates: 2000,
+    seed: 1,
+  });
+
+  test("reproduces the analytic standard error", () => {
+    // MCSE of an SE over 2000 replicates is about 1.6%
+    expect(result.empiricalSE / result.analyticSE).toBeCloseTo(1, 1);
+    expect(Math.abs(result.meanEstimate - result.effect)).toBeLessThan(
+      3 * (result.empiricalSE / Math.sqrt(result.replicates)),
+    );
+  });
+
+  test("has the nominal power at the analytic MDE", () => {
+    expect(result.effect).toBeCloseTo(1.550002676, 6);
+    expect(Math.abs(result.power - defaults.power)).toBeLessThan(
+      3 * result.mcse,
+    );
+  });
+
+  test("refuses a design without t degrees of freedom", () => {
+    expect(() =>
+      simulateHamdPower(4 * defaults.patientsPerCluster, {
+        ...defaults,
+        smallSampleCorrection: "clusters",
+      }),
+    ).toThrow("at least two clinicians");
+  });
+});
+
+describe("frailtyVariance", () => {
+  // ICC of the dropout indicator for gamma frailty variance θ, from the
+  // Laplace transform E[exp(−sZ)] = (1 + θs)^(−1/θ)
+  const iccFor = (theta, p) => {
+    const cumHazard = (Math.pow(1 - p, -theta) - 1) / theta;
+    const s2 = Math.pow(1 + 2 * theta * cumHazard, -1 / theta);
+    return (s2 - (1 - p) * (1 - p)) / (p * (1 - p));
+  };
+
+  test("gives the requested dropout ICC", () => {
+    for (const [icc, p] of [
+      [0.05, 0.3],
+      [0.1, 0.2],
+      [0.02, 0.4],
+    ]) {
+      expect(iccFor(frailtyVariance(icc, p), p)).toBeCloseTo(icc, 8);
+    }
+  });
+
+  test("is zero without clustering or dropout", () => {
+    expect(frailtyVariance(0, 0.3)).toBe(0);
+    expect(frailtyVariance(0.05, 0)).toBe(0);
+  });
+});
+
+describe("simulateRetentionPower", () => {
+  test("matches the analytic binary power at the end of attrition", () => {
+    const result = simulateRetentionPower(1000, defaults, {
+      effect: 0.1,
+      replicates: 1000,
+      seed: 1,
+    });
+    expect(result.treatmentRate).toBeCloseTo(20, 10);
+    expect(
+      Math.abs(result.binary.power - result.analyticBinaryPower),
+    ).toBeLessThan(3 * result.binary.mcse);
+  });
+
+  test("compares binary power at the simulated treatment attrition", () => {
+    const params = {
+      ...defaults,
+      retentionModel: "hazardRatio",
+      followUpMonths: 24,
+    };
+    const options = { effect: 0.1, replicates: 50, seed: 1 };
+    const high = simulateRetentionPower(1000, params, options);
+    const low = simulateRetentionPower(
+      1000,
+      { ...params, treatmentAttrition: 0.1 },
+      options,
+    );
+    expect(low.analyticBinaryPower).toBe(high.analyticBinaryPower);
+  });
+});
@@ -0,0 +1,22 @@
+// Runs the Monte Carlo simulations off the main thread. Posts
+// { type: "progress", done } every 50 replicates, then { type: "result" }.
+
+import { simulateHamdPower, simulateRetentionPower } from "./simulation";
+
+const simulators = {
+  hamd: simulateHamdPower,
+  retention: simulateRetentionPower,
+};
+
+globalThis.addEventListener("message", (event) => {
+  const { endpoint, totalN, params, options } = event.data;
+  try {
+    const result = simulators[endpoint](totalN, params, {
+      ...options,
+      onProgress: (done) => globalThis.postMessage({ type: "progress", done }),
+    });
+    globalThis.postMessage({ type: "result", result });
+  } catch (e) {
+    globalThis.postMessage({ type: "error", message: e.message });
+  }
+});
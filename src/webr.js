@@ -0,0 +1,83 @@
+// WebR runtime loading
+// The runtime can come from the public CDN (pinned to a version), from a copy
+// bundled into public/webr/ alongside the build, or from any other URL, so
+// verification keeps working on networks that block webr.r-wasm.org.
+
+export const WEBR_VERSION = process.env.REACT_APP_WEBR_VERSION || "v0.4.2";
+
+export const CDN_WEBR_BASE_URL = `https://webr.r-wasm.org/${WEBR_VERSION}/`;
+
+export const BUNDLED_WEBR_BASE_URL = `${process.env.PUBLIC_URL}/webr/`;
+
+export const DEFAULT_WEBR_BASE_URL =
+  process.env.REACT_APP_WEBR_BASE_URL || CDN_WEBR_BASE_URL;
+
+const WEBR_URL_KEY = "aurora-power-calculator-webr-url";
+
+// Downloading and starting R can legitimately take a while on slow links,
+// but should never leave the UI waiting forever
+const LOAD_TIMEOUT_MS = 120000;
+
+// Saved runtime URL, falling back to the build default
+export function loadWebRBaseUrl() {
+  try {
+    return localStorage.getItem(WEBR_URL_KEY) || DEFAULT_WEBR_BASE_URL;
+  } catch (e) {
+    return DEFAULT_WEBR_BASE_URL;
+  }
+}
+
+// The runtime choice a URL belongs to: "cdn", "bundled" or "custom"
+export function webRSourceFor(baseUrl) {
+  if (baseUrl === CDN_WEBR_BASE_URL) return "cdn";
+  if (baseUrl === BUNDLED_WEBR_BASE_URL) return "bundled";
+  return "custom";
+}
+
+export function saveWebRBaseUrl(baseUrl) {
+  try {
+    if (baseUrl === DEFAULT_WEBR_BASE_URL) {
+      localStorage.removeItem(WEBR_URL_KEY);
+    } else {
+      localStorage.setItem(WEBR_URL_KEY, baseUrl);
+    }
+  } catch (e) {
+    // Ignore errors
+  }
+}
+
+function withTimeout(promise, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), LOAD_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Import webr.mjs from baseUrl and start an R session whose worker and
+// WebAssembly assets are served from the same place
+export async function startWebR(baseUrl) {
+  const base = baseUrl.endsWith("/") ? baseUrl : `${baseUrl}/`;
+  let module;
+  try {
+    module = await withTimeout(
+      import(/* webpackIgnore: true */ `${base}webr.mjs`),
+      "timed out downloading webr.mjs",
+    );
+  } catch (error) {
+    throw new Error(
+      `Could not load the R runtime from ${base} (${error.message}). ` +
+        "Check the network connection or choose a self-hosted runtime URL.",
+    );
+  }
+
+  const webR = new module.WebR({ baseUrl: base });
+  try {
+    await withTimeout(webR.init(), "timed out starting R");
+  } catch (error) {
+    throw new Error(
+      `The R runtime at ${base} failed to start (${error.message}).`,
+    );
+  }
+  return webR;
+}